@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+'use strict';
+
+const { run } = require('../lib/cli');
+
+run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, err => {
+    process.stderr.write(err.stack + '\n');
+    process.exitCode = 70;
+});
@@ -1,13 +1,15 @@
 'use strict';
 
 const dns = require('dns');
-const util = require('util');
 
-const spfParse = require('spf-parse');
 const ipaddr = require('ipaddr.js');
 const tlsjs = require('tldjs');
 const _ = require('lodash');
 
+const DNSCache = require('./lib/cache');
+const parseRecord = require('./lib/record');
+const ZoneResolver = require('./lib/zone');
+
 /** Result messages. */
 const messages = {
     None: 'Cannot assert whether or not the client host is authorized',
@@ -34,6 +36,266 @@ const messages = {
  */
 const results = _.mapValues(messages, _.nthArg(1));
 
+/** Resolver methods used to look up each record type. */
+const resolverMethods = {
+    TXT: 'resolveTxt',
+    A: 'resolve4',
+    AAAA: 'resolve6',
+    MX: 'resolveMx',
+    PTR: 'reverse',
+    SPF: 'resolveSpf',
+};
+
+/** Options of the resolver methods asking for the TTL of records, only
+ *  supported by `dns.promises.Resolver` for address lookups. */
+const ttlOptions = {
+    A: { ttl: true },
+    AAAA: { ttl: true },
+};
+
+/** Values of the `spfRecords` option. */
+const spfRecordPolicies = ['txt-only', 'prefer-spf', 'compare'];
+
+/** Resolver used when none is given in the options. */
+const defaultResolver = new dns.promises.Resolver();
+
+/**
+ * Expands a macro-string as described in RFC 7208 section 7.
+ *
+ * @param {string} macroString
+ * @param {Object<string, string>} values - Macro values keyed by lowercase macro letter.
+ * @param {boolean} [explanation=false] - Whether "c", "r" and "t" macros are allowed,
+ * which is only the case for explanation strings.
+ * @returns {string}
+ */
+function expandMacros(macroString, values, explanation) {
+    return macroString.replace(/%(?:\{([a-z])(\d*)(r?)([-.+,/_=]*)\}|([%_-])|)/gi, (match, letter, digits, reverse, delimiters, escape) => {
+        if (escape) {
+            return { '%': '%', '_': ' ', '-': '%20' }[escape];
+        }
+
+        if (!letter) {
+            throw new SPFResult(results.PermError, 'Malformed macro in "' + macroString + '"');
+        }
+
+        const key = _.toLower(letter);
+
+        if (!explanation && _.includes('crt', key)) {
+            throw new SPFResult(results.PermError, 'Macro "' + match + '" is only allowed in explanation strings');
+        }
+
+        if (_.isNil(values[key])) {
+            throw new SPFResult(results.PermError, 'Macro "' + match + '" cannot be expanded');
+        }
+
+        if (digits !== '' && Number(digits) === 0) {
+            throw new SPFResult(results.PermError, 'Macro "' + match + '" cannot keep zero parts');
+        }
+
+        // Split on any of the delimiters ("." by default), optionally reverse
+        // and keep the right-hand parts, then join back with dots.
+        const delimiter = new RegExp('[' + _.escapeRegExp(delimiters || '.').replace(/-/g, '\\-') + ']');
+        let parts = _.split(values[key], delimiter);
+
+        if (reverse) {
+            parts = _.reverse(parts);
+        }
+
+        if (digits !== '') {
+            parts = _.takeRight(parts, Number(digits));
+        }
+
+        const value = _.join(parts, '.');
+
+        // Uppercase macro letters are URL escaped, leaving only unreserved
+        // characters as they are.
+        if (letter !== key) {
+            return encodeURIComponent(value).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+        }
+
+        return value;
+    });
+}
+
+/**
+ * Hexadecimal nibbles of an IPv6 address, most significant first.
+ *
+ * @param {ipaddr.IPv6} addr
+ * @returns {string[]}
+ */
+function nibbles(addr) {
+    return _.flatMap(addr.toByteArray(), byte => [(byte >> 4).toString(16), (byte & 15).toString(16)]);
+}
+
+/**
+ * Splits the value of "a" and "mx" mechanisms into its domain-spec and the
+ * ip4-cidr-length and ip6-cidr-length, like "example.com/24//64".
+ *
+ * @param {string} [value]
+ * @returns {{ domainSpec: string|undefined, cidr: { ipv4: number, ipv6: number } }}
+ */
+function parseDualCIDR(value) {
+    const parts = /^(.*?)(?:\/(\d+))?(?:\/\/(\d+))?$/.exec(value || '');
+    const cidr = {
+        ipv4: parts[2] ? Number(parts[2]) : 32,
+        ipv6: parts[3] ? Number(parts[3]) : 128,
+    };
+
+    if (cidr.ipv4 > 32 || cidr.ipv6 > 128) {
+        throw new SPFResult(results.PermError, 'Malformed CIDR length in "' + value + '"');
+    }
+
+    return { domainSpec: parts[1] || undefined, cidr };
+}
+
+/**
+ * Checks if an address is in the network of another address with the given
+ * CIDR lengths. Addresses of different kinds never match.
+ *
+ * @param {ipaddr.IPv4|ipaddr.IPv6} addr
+ * @param {string} address
+ * @param {{ ipv4: number, ipv6: number }} cidr
+ * @returns {boolean}
+ */
+function matchAddress(addr, address, cidr) {
+    if (!ipaddr.isValid(address)) {
+        return false;
+    }
+
+    const network = ipaddr.parse(address);
+
+    if (network.kind() !== addr.kind()) {
+        return false;
+    }
+
+    return addr.match(network, cidr[addr.kind()]);
+}
+
+/**
+ * Creates the error of a query abandoned because the query timeout or the
+ * deadline of the check is reached, or the signal aborts.
+ *
+ * @param {string} message
+ * @param {string} hostname
+ * @returns {Error}
+ */
+function timeoutError(message, hostname) {
+    const err = new Error(message);
+
+    err.code = dns.TIMEOUT;
+    err.hostname = hostname;
+    err.interrupted = true;
+
+    return err;
+}
+
+/**
+ * Tells whether an error ends the check in progress because it was
+ * interrupted, even where failed lookups are otherwise ignored.
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isInterruption(err) {
+    return err instanceof SPFResult && err.interrupted;
+}
+
+/**
+ * Takes the TTL out of the records of an answer, for resolvers that tell it
+ * with each record: `{ address, ttl }` for A and AAAA records, `{ entries,
+ * ttl }` for TXT and SPF records, `{ exchange, priority, ttl }` for MX
+ * records and `{ value, ttl }` for PTR records.
+ *
+ * @param {string} rrtype
+ * @param {any[]} records
+ * @returns {{ records: any[], ttl: number|undefined }} Records as returned
+ * without TTL, and the lowest TTL of the records, if told.
+ */
+function splitTTL(rrtype, records) {
+    const ttls = _.filter(_.map(records, record => _.isPlainObject(record) ? record.ttl : undefined), _.isFinite);
+
+    if (ttls.length === 0) {
+        return { records, ttl: undefined };
+    }
+
+    records = _.map(records, record => {
+        if (!_.isPlainObject(record) || !_.has(record, 'ttl')) {
+            return record;
+        }
+
+        switch (rrtype) {
+            case 'A':
+            case 'AAAA':
+                return record.address;
+            case 'TXT':
+            case 'SPF':
+                return record.entries;
+            case 'PTR':
+                return record.value;
+            default:
+                return _.omit(record, 'ttl');
+        }
+    });
+
+    return { records, ttl: _.min(ttls) };
+}
+
+/**
+ * Returns a header field value as a dot-atom when possible, or as a quoted
+ * string otherwise.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteValue(value) {
+    if (/^[\w!#$%&'*+\-/=?^`{|}~]+(\.[\w!#$%&'*+\-/=?^`{|}~]+)*$/.test(value)) {
+        return value;
+    }
+
+    return '"' + value.replace(/["\\]/g, '\\$&') + '"';
+}
+
+/**
+ * Returns an email address for a header field, quoting the local-part only
+ * when needed.
+ *
+ * @param {string} address
+ * @returns {string}
+ */
+function quoteAddress(address) {
+    const at = address.lastIndexOf('@');
+
+    if (at === -1) {
+        return quoteValue(address);
+    }
+
+    return quoteValue(address.slice(0, at)) + address.slice(at);
+}
+
+/**
+ * Joins the tokens of a header field, folding lines to 78 characters.
+ *
+ * @param {string} name - Header field name.
+ * @param {string[]} tokens - Tokens that can be separated by folding white space.
+ * @returns {string}
+ */
+function foldHeader(name, tokens) {
+    const lines = [name + ':'];
+
+    _.forEach(tokens, token => {
+        const last = lines.length - 1;
+
+        // Only fold lines that already have a token after the field name.
+        if (lines[last].length + 1 + token.length > 78 && (last > 0 || lines[last] !== name + ':')) {
+            lines.push(' ' + token);
+        } else {
+            lines[last] += ' ' + token;
+        }
+    });
+
+    return _.join(lines, '\r\n');
+}
+
 class SPFResult {
     /**
      * @property {string} result - An string value of results constant. available values: None, Neutral, Pass, Fail, SoftFail, TempError, PermError.
@@ -67,17 +329,228 @@ class SPFResult {
 
         /** List of all matched mechanisms (order from last to first). */
         this.matched = [];
+
+        /** Domains of the records reached through "redirect" modifiers, in
+         *  the order they were followed. */
+        this.redirects = [];
+
+        /** Explanation published by the domain owner through the "exp"
+         *  modifier, only set on "Fail" results. */
+        this.explanation = undefined;
+
+        /** Identity that was checked, "mailfrom" or "helo". Set by
+         *  `SPF.check()` along with the other header field values. */
+        this.identity = undefined;
+
+        /** IP address of the SMTP client. */
+        this.clientIp = undefined;
+
+        /** Reverse-path of the message, "MAIL FROM" identity. */
+        this.envelopeFrom = undefined;
+
+        /** Domain given by the SMTP client in the HELO/EHLO command. */
+        this.helo = undefined;
+
+        /** Host name of the receiver doing the check. */
+        this.receiver = undefined;
+
+        /** Evaluation tree, set by `SPF.check()` with the `trace` option.
+         *  @type {TraceRecord|undefined} */
+        this.trace = undefined;
+
+        /** Domains from the checked one to the required domain, set by
+         *  `SPF.checkInclude()` when it is found. */
+        this.chain = undefined;
+
+        /** Qualifier in effect for the required domain, set by
+         *  `SPF.checkInclude()` when it is found. */
+        this.qualifier = undefined;
+
+        /** Whether a "TempError" comes from the `queryTimeout`, `deadline`
+         *  or `signal` option rather than from a failed lookup. */
+        this.interrupted = false;
+    }
+
+    /**
+     * Returns a "Received-SPF" header field as described in RFC 7208 section
+     * 9.1, without trailing line break.
+     *
+     * @returns {string}
+     */
+    toReceivedSPF() {
+        const ip = this.clientIp || 'unknown';
+        const sender = this.identity === 'helo' ? this.helo : this.envelopeFrom;
+
+        let comment;
+        switch (this.result) {
+            case results.Pass:
+                comment = 'domain of ' + sender + ' designates ' + ip + ' as permitted sender';
+                break;
+            case results.Fail:
+                comment = 'domain of ' + sender + ' does not designate ' + ip + ' as permitted sender';
+                break;
+            case results.SoftFail:
+                comment = 'domain of transitioning ' + sender + ' does not designate ' + ip + ' as permitted sender';
+                break;
+            case results.Neutral:
+                comment = ip + ' is neither permitted nor denied by domain of ' + sender;
+                break;
+            case results.None:
+                comment = 'domain of ' + sender + ' does not designate permitted sender hosts';
+                break;
+            default:
+                comment = 'error in processing during lookup of ' + sender + ': ' + this.message;
+        }
+
+        if (this.receiver) {
+            comment = this.receiver + ': ' + comment;
+        }
+
+        const fields = {
+            'client-ip': this.clientIp,
+            'envelope-from': this.envelopeFrom,
+            helo: this.helo,
+            problem: this.result === results.TempError || this.result === results.PermError ? this.message : undefined,
+            receiver: this.receiver,
+            identity: this.identity,
+            mechanism: this.mechanism,
+        };
+
+        const tokens = _.concat(
+            [_.toLower(this.result)],
+            _.split('(' + comment.replace(/[()\\]/g, '\\$&') + ')', ' '),
+            _.map(_.omitBy(fields, _.isNil), (value, key) => key + '=' + quoteValue(value) + ';')
+        );
+
+        return foldHeader('Received-SPF', tokens);
+    }
+
+    /**
+     * Returns the "spf" method clause of an "Authentication-Results" header
+     * field as described in RFC 8601, like "spf=pass smtp.mailfrom=...".
+     *
+     * @returns {string}
+     */
+    toAuthenticationResultsClause() {
+        return _.join(this.authenticationResultsTokens(), ' ');
+    }
+
+    /**
+     * Returns an "Authentication-Results" header field as described in RFC
+     * 8601 with only the "spf" method, without trailing line break.
+     *
+     * @param {string} [authservId] - Authentication service identifier,
+     * defaults to the receiver.
+     * @returns {string}
+     */
+    toAuthenticationResults(authservId) {
+        authservId = authservId || this.receiver;
+
+        if (!authservId) {
+            throw new TypeError('Undefined authentication service identifier');
+        }
+
+        return foldHeader('Authentication-Results', _.concat([authservId + ';'], this.authenticationResultsTokens()));
+    }
+
+    /** @private */
+    authenticationResultsTokens() {
+        const property = this.identity === 'helo' ? 'smtp.helo=' + quoteValue(this.helo || '') : 'smtp.mailfrom=' + quoteAddress(this.envelopeFrom || '');
+
+        return ['spf=' + _.toLower(this.result), property];
     }
 }
 
+/**
+ * @typedef {Object} TraceQuery
+ * @property {string} name - Name looked up.
+ * @property {string} rrtype - Record type looked up.
+ * @property {any[]} [answer] - Records returned, if any.
+ * @property {string} [error] - Error code or message of a failed lookup.
+ * @property {number} duration - Time spent in milliseconds.
+ * @property {boolean} counted - Whether the lookup counted toward the DNS lookups limit.
+ */
+
+/**
+ * @typedef {Object} TraceRecord
+ * @property {string} domain - Domain of the record.
+ * @property {string} [record] - SPF record fetched, if any.
+ * @property {TraceQuery[]} queries - Lookups done to fetch the record.
+ * @property {TraceTerm[]} mechanisms - Mechanisms and "redirect" modifier of the record.
+ * @property {string} [result] - Result of the check, only on the root record.
+ * @property {{ domain: string, term: string }} [stoppedAt] - Term where evaluation stopped,
+ * only on the root record. The term is "default" when nothing matched.
+ */
+
+/**
+ * @typedef {Object} TraceTerm
+ * @property {string} term - Term as written in the record.
+ * @property {string} qualifier - Qualifier of the mechanism: "+", "-", "~" or "?".
+ * @property {string} type - Mechanism type, or "redirect".
+ * @property {boolean} evaluated - Whether the mechanism has been evaluated.
+ * @property {boolean} [matched] - Whether the mechanism matched, once evaluated.
+ * @property {string} [result] - Result of the included record, for "include", or of the target
+ * record, for "redirect".
+ * @property {TraceQuery[]} queries - Lookups done for the term.
+ * @property {TraceRecord} [target] - Record resolved by "include" or "redirect".
+ * @property {string[]} [loop] - Domains from the record this term leads back to, to
+ * this term's target, when "include" and "redirect" terms loop.
+ */
+
+/**
+ * @typedef {Object} DNSResolver
+ * Records may come with their TTL, used by the `cache`: `{ address, ttl }` for
+ * address lookups (as `dns.promises.Resolver` does with the `ttl` option), `{ entries,
+ * ttl }` for TXT and SPF records, `{ exchange, priority, ttl }` for MX records and
+ * `{ value, ttl }` for PTR records.
+ * @property {function(string): Promise<string[][]>} resolveTxt
+ * @property {function(string): Promise<string[]>} resolve4
+ * @property {function(string): Promise<string[]>} resolve6
+ * @property {function(string): Promise<{exchange: string, priority: number}[]>} resolveMx
+ * @property {function(string): Promise<string[]>} reverse
+ * @property {function(string): Promise<string[][]>} [resolveSpf] - Lookup of SPF (type 99)
+ * records, only needed by the `spfRecords` option as `dns.promises.Resolver` cannot do it.
+ */
+
 /**
  * @typedef {Object} SPFOptions
  * @property {number} [version=1] - SPF version, conforms to https://tools.ietf.org/html/rfc4408
  * @property {boolean} [prefetch=false] - Resolve all mechanisms before evaluating them.
  * This will cause many DNS queries to be made and possible hit the 10 queries hard limit.
- * Note that "redirect" mechanisms always resolve first no matter the value of this option.
+ * Otherwise the "redirect" modifier is only resolved when no mechanism matched.
  * @property {number} [maxDNS=10] - Hard limit on the number of DNS lookups, including any lookups
  * caused by the use of the "include" mechanism or the "redirect" modifier.
+ * @property {number} [maxVoidLookups=2] - Hard limit on the number of DNS lookups that return
+ * either "domain does not exist" or no answers.
+ * @property {number} [maxMXNames=10] - Hard limit on the number of names returned by the MX
+ * lookup of the "mx" mechanism.
+ * @property {number} [maxPTRNames=10] - Number of names returned by the reverse lookup of the
+ * "ptr" mechanism that are checked, others are ignored.
+ * @property {DNSResolver} [resolver] - Resolver used for all DNS lookups, like a
+ * `dns.promises.Resolver` set up with specific servers.
+ * @property {DNSCache} [cache] - Cache of DNS answers, that can be shared by many checks.
+ * Cached answers still count toward the DNS lookups limit. Answers are kept for their TTL
+ * when the resolver tells it, for the `defaultTTL` of the cache otherwise, which is the case
+ * of TXT and MX answers from `dns.promises.Resolver`.
+ * @property {number} [queryTimeout] - Time in milliseconds after which a DNS query is abandoned,
+ * ending the check with "TempError".
+ * @property {number} [deadline] - Time in milliseconds after which a whole `check()` or
+ * `checkInclude()` is abandoned, ending it with "TempError".
+ * @property {AbortSignal} [signal] - Signal aborting checks, ending them with "TempError".
+ * @property {string} [helo] - Domain given by the SMTP client in the HELO/EHLO command, used for
+ * null senders, "%{h}" macros and header fields.
+ * @property {string} [receiver] - Host name of the receiver doing the check, used in header
+ * fields and explanations.
+ * @property {boolean} [trace=false] - Attach to results the tree of records, mechanisms and DNS
+ * lookups that were evaluated.
+ * @property {string} [record] - SPF record of the checked domain to use instead of the published
+ * one, to check a record before publishing it.
+ * @property {Object<string, string|string[]>} [records] - TXT records of any name to use instead
+ * of the published ones, like `{ 'example.com': 'v=spf1 include:_spf.example.com -all' }`.
+ * @property {"txt-only"|"prefer-spf"|"compare"} [spfRecords="txt-only"] - Whether SPF (type 99)
+ * records are also looked up, to be used instead of TXT records when there are some
+ * ("prefer-spf"), or only to warn when they differ from TXT records ("compare"). Without a
+ * `resolveSpf` method of the resolver, only TXT records are used with a warning.
  */
 
 class SPF {
@@ -95,6 +568,17 @@ class SPF {
             sender = undefined;
         }
 
+        if (sender === '' || sender === '<>') {
+            // When the reverse-path is null, the "MAIL FROM" identity is the
+            // "postmaster" mailbox of the HELO identity, see RFC 7208 section
+            // 2.4. The HELO domain is then the one checked, whatever the
+            // domain given.
+            const helo = _.get(options, 'helo');
+
+            domain = helo || domain;
+            sender = helo ? 'postmaster@' + helo : undefined;
+        }
+
         this.domain = _.isString(domain) ? domain : _.result(options, 'domain', () => {
             throw new Error('Undefined domain');
         });
@@ -107,87 +591,596 @@ class SPF {
             this.sender = 'postmaster@' + this.sender;
         }
 
-        this.warnings = [];
-        this.queryDNSCount = 0;
+        /** Warnings and lookup counts of the last check that ended. */
+        this.warnings = [];
+        this.queryDNSCount = 0;
+        this.voidLookupCount = 0;
+
+        /** Client IP address of the check in progress, used to expand
+         *  macros. Set on the context of each check, see `newContext()`. */
+        this.addr = undefined;
+
+        /** Cache of the answers shared by the checks of `checkMany()`, when
+         *  no cache is given in the options.
+         *  @type {DNSCache|undefined} */
+        this.batchCache = undefined;
+
+        /** Time by which the check in progress must end, in milliseconds
+         *  since the epoch, if it has a deadline.
+         *  @type {number|undefined} */
+        this.deadlineAt = undefined;
+
+        this.options = {
+            /** Conforms to https://tools.ietf.org/html/rfc4408 */
+            version: 1,
+
+            /** Resolve all mechanisms before evaluating them. This will cause
+             *  many DNS queries to be made and possible hit the 10 queries hard
+             *  limit. Otherwise the "redirect" modifier is only resolved when
+             *  no mechanism matched.
+             */
+            prefetch: false,
+
+            /** Hard limit on the number of DNS lookups, including any lookups
+             *  caused by the use of the "include" mechanism or the "redirect"
+             *  modifier. */
+            maxDNS: 10,
+
+            /** Hard limit on the number of DNS lookups that return either
+             *  "domain does not exist" or no answers. */
+            maxVoidLookups: 2,
+
+            /** Hard limit on the number of names returned by the MX lookup of
+             *  the "mx" mechanism. */
+            maxMXNames: 10,
+
+            /** Number of names returned by the reverse lookup of the "ptr"
+             *  mechanism and "%{p}" macro that are checked, others are
+             *  ignored. */
+            maxPTRNames: 10,
+
+            /** Resolver used for all DNS lookups, with the same promise based
+             *  methods as `dns.promises.Resolver`. */
+            resolver: defaultResolver,
+
+            /** Cache of DNS answers, usually shared by many instances. */
+            cache: undefined,
+
+            /** Time in milliseconds after which a DNS query is abandoned. */
+            queryTimeout: undefined,
+
+            /** Time in milliseconds after which a whole check is abandoned. */
+            deadline: undefined,
+
+            /** Signal aborting the check in progress. */
+            signal: undefined,
+
+            /** Domain given by the SMTP client in the HELO/EHLO command, used
+             *  for null senders, "%{h}" macros and header fields. */
+            helo: undefined,
+
+            /** Host name of the receiver doing the check, used in header
+             *  fields and the "%{r}" macro. */
+            receiver: undefined,
+
+            /** Attach to results the tree of records, mechanisms and DNS
+             *  lookups that were evaluated. */
+            trace: false,
+
+            /** SPF record of the checked domain to use instead of the
+             *  published one. */
+            record: undefined,
+
+            /** TXT records of any name to use instead of the published ones,
+             *  like `{ 'example.com': 'v=spf1 -all' }`. */
+            records: undefined,
+
+            /** Whether SPF (type 99) records are looked up along with TXT
+             *  records: "txt-only", "prefer-spf" or "compare". */
+            spfRecords: 'txt-only',
+
+            ...options,
+        };
+
+        if (!_.includes(spfRecordPolicies, this.options.spfRecords)) {
+            throw new TypeError('Option "spfRecords" should be one of ' + _.join(spfRecordPolicies, ', '));
+        }
+
+        /** Records supplied in the options, by lowercase name. */
+        this.suppliedRecords = new Map(_.map(this.options.records, (records, name) => [_.toLower(_.trimEnd(name, '.')), _.castArray(records)]));
+
+        if (_.isString(this.options.record)) {
+            this.suppliedRecords.set(_.toLower(_.trimEnd(this.domain, '.')), [this.options.record]);
+        }
+    }
+
+    /**
+     * Expands the macros of a macro-string in the context of the check in
+     * progress.
+     *
+     * @param {string} macroString
+     * @param {string} domain - Domain of the record being evaluated, "%{d}".
+     * @param {boolean} [explanation=false] - Expand as an explanation string.
+     * @returns {Promise<string>}
+     */
+    async expand(macroString, domain, explanation) {
+        if (!_.includes(macroString, '%')) {
+            return macroString;
+        }
+
+        const at = this.sender.lastIndexOf('@');
+        const values = {
+            s: this.sender,
+            l: this.sender.slice(0, at) || 'postmaster',
+            o: this.sender.slice(at + 1),
+            d: domain,
+            h: this.options.helo || 'unknown',
+        };
+
+        if (this.addr) {
+            const ipv4 = this.addr.kind() === 'ipv4';
+
+            values.i = ipv4 ? this.addr.toString() : _.join(nibbles(this.addr), '.');
+            values.v = ipv4 ? 'in-addr' : 'ip6';
+
+            if (/%\{p/i.test(macroString)) {
+                values.p = await this.validatedDomain(domain);
+            }
+        }
+
+        if (explanation) {
+            values.c = this.addr && (this.addr.kind() === 'ipv4' ? this.addr.toString() : this.addr.toRFC5952String());
+            values.r = this.options.receiver || 'unknown';
+            values.t = String(Math.floor(Date.now() / 1000));
+        }
+
+        return expandMacros(macroString, values, explanation);
+    }
+
+    /**
+     * Expands a domain-spec, truncating the result from the left to fit a
+     * domain name.
+     *
+     * @param {string} domainSpec
+     * @param {string} domain - Domain of the record being evaluated, "%{d}".
+     * @returns {Promise<string>}
+     */
+    async expandDomain(domainSpec, domain) {
+        let expanded = _.trimEnd(await this.expand(domainSpec, domain), '.');
+
+        // Remove successive labels until it does not exceed 253 characters.
+        while (expanded.length > 253 && _.includes(expanded, '.')) {
+            expanded = expanded.slice(expanded.indexOf('.') + 1);
+        }
+
+        return expanded;
+    }
+
+    /**
+     * Returns the validated host names of an address: names found by a
+     * reverse lookup that resolve back to the same address.
+     *
+     * @param {ipaddr.IPv4|ipaddr.IPv6} addr
+     * @param {boolean} [lookupLimit=true] - Count the reverse lookup toward the limit.
+     * @returns {Promise<string[]>}
+     */
+    async resolvePTR(addr, lookupLimit) {
+        let names;
+        try {
+            names = await this.resolveDNS(addr.toString(), 'PTR', lookupLimit);
+        } catch (err) {
+            // A failed reverse lookup only means there are no names.
+            if (err instanceof SPFResult && err.result === results.PermError || isInterruption(err)) {
+                throw err;
+            }
+
+            return [];
+        }
+
+        const validated = [];
+
+        // Names over the limit are ignored rather than an error.
+        for (let i = 0; i < names.length && i < this.options.maxPTRNames; i++) {
+            let addresses;
+            try {
+                addresses = await this.resolveDNS(names[i], addr.kind() === 'ipv4' ? 'A' : 'AAAA', /*lookupLimit=*/false);
+            } catch (err) {
+                if (isInterruption(err)) {
+                    throw err;
+                }
+
+                continue;
+            }
+
+            if (_.some(addresses, address => ipaddr.isValid(address) && ipaddr.parse(address).toNormalizedString() === addr.toNormalizedString())) {
+                validated.push(_.toLower(_.trimEnd(names[i], '.')));
+            }
+        }
+
+        return validated;
+    }
+
+    /**
+     * Returns the validated host name used for the "%{p}" macro, preferring
+     * the domain itself, then any of its subdomains, then any other name.
+     *
+     * @param {string} domain
+     * @returns {Promise<string>}
+     */
+    async validatedDomain(domain) {
+        const names = await this.resolvePTR(this.addr, /*lookupLimit=*/false);
+
+        domain = _.toLower(domain);
+
+        return _.find(names, name => name === domain)
+            || _.find(names, name => _.endsWith(name, '.' + domain))
+            || _.first(names)
+            || 'unknown';
+    }
+
+    async resolveMX(hostname, rrtype) {
+        // First performs an MX lookup.
+        // Exchanges are copied as answers may be shared through the cache.
+        const exchanges = _.map(await this.resolveDNS(hostname, 'MX'), _.clone);
+
+        // Check the number of exchanges to retrieve A records and limit before
+        // doing any DNS lookup.
+        if (exchanges.length > this.options.maxMXNames) {
+            throw new SPFResult(results.PermError, 'Limit of MX names reached when processing MX mechanism');
+        }
+
+        // Then it performs an address lookup on each MX name returned.
+        for (let e = 0; e < exchanges.length; e++) {
+            exchanges[e].records = await this.resolveDNS(exchanges[e].exchange, rrtype, /*lookupLimit=*/false);
+        };
+
+        return _.sortBy(exchanges, 'priority');
+    }
+
+    /**
+     * @private
+     * @throws {SPFResult} PermError when the limit of DNS lookups is reached.
+     */
+    checkLookupLimit() {
+        if (this.queryDNSCount >= this.options.maxDNS) {
+            throw new SPFResult(results.PermError, 'Limit of DNS lookups reached');
+        }
+    }
+
+    async resolveDNS(hostname, rrtype, lookupLimit) {
+        // Default behaviour is to throw PermError when limit is reached.
+        lookupLimit = _.isNil(lookupLimit) || lookupLimit === true;
+
+        if (lookupLimit) {
+            this.checkLookupLimit();
+        }
+
+        const query = this.traceNode && { name: hostname, rrtype, counted: lookupLimit };
+        const started = Date.now();
+
+        if (query) {
+            this.traceNode.queries.push(query);
+        }
+
+        let records;
+        let notFound = false;
+        try {
+            // Checked before any query, as cached answers and supplied
+            // records do not go through the resolver.
+            this.checkInterrupted(hostname, rrtype);
+
+            records = await this.query(hostname, rrtype);
+        } catch (err) {
+            if (query) {
+                query.error = err.code || err.message;
+            }
+
+            if (err.code !== dns.NOTFOUND && err.code !== dns.NODATA) {
+                // Any other error, like SERVFAIL or a timeout.
+                const result = new SPFResult(results.TempError, err.message);
+
+                result.interrupted = err.interrupted === true;
+
+                throw result;
+            }
+
+            notFound = true;
+        } finally {
+            lookupLimit && this.queryDNSCount++;
+
+            if (query) {
+                query.duration = Date.now() - started;
+            }
+        }
+
+        // Lookups that return either "domain does not exist" or no answers
+        // are void lookups, which have their own limit.
+        if (lookupLimit && _.isEmpty(records)) {
+            this.voidLookupCount++;
+
+            if (this.voidLookupCount > this.options.maxVoidLookups) {
+                throw new SPFResult(results.PermError, 'Limit of void DNS lookups reached');
+            }
+        }
+
+        if (notFound) {
+            if (rrtype === 'TXT') {
+                // If the DNS lookup returns "domain does not exist",
+                // immediately returns the result "None".
+                throw new SPFResult(results.None, 'Domain does not exists');
+            }
+
+            // Any other lookup with no answers is not an error, it just does
+            // not match.
+            return [];
+        }
+
+        if (rrtype === 'TXT' || rrtype === 'SPF') {
+            records = _.map(records, record => {
+                return _.join(record, '');
+            });
+        }
+
+        if (query) {
+            query.answer = records;
+        }
+
+        return records;
+    }
+
+    /**
+     * Looks up records from the cache, if any, then from the resolver.
+     *
+     * @private
+     * @param {string} hostname
+     * @param {string} rrtype
+     * @returns {Promise<any[]>}
+     */
+    async query(hostname, rrtype) {
+        const cache = this.options.cache || this.batchCache;
+
+        const name = _.toLower(_.trimEnd(hostname, '.'));
+
+        // Supplied records are never cached, as the cache may be shared with
+        // other checks.
+        if (rrtype === 'TXT' && this.suppliedRecords.has(name)) {
+            return _.map(this.suppliedRecords.get(name), record => [record]);
+        }
+
+        if (!cache) {
+            return splitTTL(rrtype, await this.callResolver(hostname, rrtype, ttlOptions[rrtype])).records;
+        }
+
+        const cached = cache.get(rrtype, hostname);
+
+        if (cached) {
+            if (cached.error) {
+                throw cached.error;
+            }
+
+            return cached.records;
+        }
+
+        let answer;
+        try {
+            answer = splitTTL(rrtype, await this.callResolver(hostname, rrtype, ttlOptions[rrtype]));
+        } catch (err) {
+            if (err.code === dns.NOTFOUND || err.code === dns.NODATA) {
+                cache.setNegative(rrtype, hostname, err);
+            }
+
+            throw err;
+        }
+
+        cache.set(rrtype, hostname, answer.records, answer.ttl);
+
+        return answer.records;
+    }
+
+    /**
+     * Fails with an "ETIMEOUT" error when the deadline of the check is
+     * reached or the signal aborted, before a query.
+     *
+     * @private
+     * @param {string} hostname
+     * @param {string} rrtype
+     */
+    checkInterrupted(hostname, rrtype) {
+        const signal = this.options.signal;
+        const query = 'query ' + rrtype + ' ' + hostname;
+
+        if (signal && signal.aborted) {
+            throw timeoutError('Check aborted before ' + query, hostname);
+        }
+
+        if (!_.isUndefined(this.deadlineAt) && this.deadlineAt <= Date.now()) {
+            throw timeoutError('Deadline of ' + this.options.deadline + 'ms reached before ' + query, hostname);
+        }
+    }
+
+    /**
+     * Calls the resolver, failing with an "ETIMEOUT" error when the query
+     * timeout or the deadline of the check is reached, or the signal aborts.
+     *
+     * @private
+     * @param {string} hostname
+     * @param {string} rrtype
+     * @param {Object} [options] - Options of the resolver method.
+     * @returns {Promise<any[]>}
+     */
+    async callResolver(hostname, rrtype, options) {
+        const resolver = this.options.resolver;
+        const method = resolverMethods[rrtype];
+        const signal = this.options.signal;
+        const query = 'query ' + rrtype + ' ' + hostname;
+
+        let timeout = this.options.queryTimeout;
+        let message = 'Timeout of ' + timeout + 'ms reached during ' + query;
+
+        if (!_.isUndefined(this.deadlineAt)) {
+            const left = this.deadlineAt - Date.now();
+
+            if (!timeout || left < timeout) {
+                timeout = Math.max(left, 1);
+                message = 'Deadline of ' + this.options.deadline + 'ms reached during ' + query;
+            }
+        }
+
+        const call = options ? resolver[method](hostname, options) : resolver[method](hostname);
+
+        if (!timeout && !signal) {
+            return call;
+        }
+
+        return new Promise((resolve, reject) => {
+            let timer;
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(timeoutError('Check aborted during ' + query, hostname));
+            };
+
+            if (timeout) {
+                timer = setTimeout(() => {
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+
+                    reject(timeoutError(message, hostname));
+                }, timeout);
+            }
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+
+                // The signal may abort while calling the resolver.
+                if (signal.aborted) {
+                    onAbort();
+                }
+            }
+
+            Promise.resolve(call).finally(() => {
+                clearTimeout(timer);
+
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            }).then(resolve, reject);
+        });
+    }
+
+    /**
+     * Tells whether a TXT record is an SPF record of the checked version.
+     * Records that do not begin with a version section followed by terms are
+     * discarded.
+     *
+     * @param {string} record
+     * @returns {boolean}
+     */
+    isRecord(record) {
+        return _.startsWith(record, 'v=spf' + this.options.version + ' ');
+    }
+
+    /**
+     * Fetches the SPF records of a domain from its TXT records, and from its
+     * SPF (type 99) records as set by the `spfRecords` option. Lookups of SPF
+     * records do not count toward the limits, as they are done along with
+     * the TXT lookup.
+     *
+     * @private
+     * @param {string} hostname
+     * @returns {Promise<string[]>}
+     */
+    async fetchRecords(hostname) {
+        const policy = this.options.spfRecords;
+
+        const filter = records => _.filter(records, record => this.isRecord(record));
+
+        const records = filter(await this.resolveDNS(hostname, 'TXT'));
+
+        // Supplied records replace the published ones of any type.
+        if (policy === 'txt-only' || this.suppliedRecords.has(_.toLower(_.trimEnd(hostname, '.')))) {
+            return records;
+        }
+
+        if (!_.isFunction(this.options.resolver.resolveSpf)) {
+            // Not the case of `dns.promises.Resolver`, that cannot look up
+            // SPF records, so the policy falls back to TXT records only.
+            const warning = 'SPF (type 99) records cannot be looked up without a "resolveSpf" method of the resolver, only TXT records are used';
+
+            if (!_.includes(this.warnings, warning)) {
+                this.warnings.push(warning);
+            }
+
+            return records;
+        }
+
+        let typed;
+        try {
+            typed = filter(await this.resolveDNS(hostname, 'SPF', /*lookupLimit=*/false));
+        } catch (err) {
+            if (policy === 'prefer-spf' || isInterruption(err)) {
+                throw err;
+            }
+
+            this.warnings.push('SPF (type 99) records of "' + hostname + '" could not be compared: ' + err.message);
+
+            return records;
+        }
+
+        if (policy === 'prefer-spf') {
+            return typed.length > 0 ? typed : records;
+        }
 
-        this.options = {
-            /** Conforms to https://tools.ietf.org/html/rfc4408 */
-            version: 1,
+        if (typed.length > 0 && !_.isEqual(_.sortBy(typed), _.sortBy(records))) {
+            this.warnings.push('SPF (type 99) record of "' + hostname + '" differs from its TXT record');
+        }
 
-            /** Resolve all mechanisms before evaluating them. This will cause
-             *  many DNS queries to be made and possible hit the 10 queries hard
-             *  limit. Note that "redirect" mechanisms always resolves first no
-             *  matter the value of this option.
-             */
-            prefetch: false,
+        return records;
+    }
 
-            /** Hard limit on the number of DNS lookups, including any lookups
-             *  caused by the use of the "include" mechanism or the "redirect"
-             *  modifier. */
-            maxDNS: 10,
+    /**
+     * @param {string} hostname
+     * @param {string} rrtype - Type of the address lookups, "A" or "AAAA".
+     * @param {string[]} [chain] - Domains of the records leading to this one,
+     * through "include" and "redirect" terms.
+     * @returns {Promise<Object[]>} Resolved mechanisms.
+     */
+    async resolveSPF(hostname, rrtype, chain) {
+        const name = _.toLower(_.trimEnd(hostname, '.'));
 
-            ...options,
-        };
-    }
+        if (_.includes(chain, name)) {
+            // The record leads back to one being resolved, which would go on
+            // until the DNS lookups limit is reached.
+            const loop = _.concat(_.slice(chain, _.indexOf(chain, name)), name);
 
-    async resolveMX(hostname, rrtype) {
-        // First performs an MX lookup.
-        const exchanges = await this.resolveDNS(hostname, 'MX');
+            if (this.traceNode) {
+                this.traceNode.loop = loop;
+            }
 
-        // Check the number of exchanges to retrieve A records and limit before
-        // doing any DNS lookup.
-        if (exchanges.length >= this.options.maxDNS) {
-            throw new SPFResult(results.PermError, 'Limit of DNS lookups reached when processing MX mechanism');
+            throw new SPFResult(results.PermError, 'Loop of "include" and "redirect" terms: ' + _.join(loop, ' -> '));
         }
 
-        // Then it performs an address lookup on each MX name returned.
-        for (let e = 0; e < exchanges.length; e++) {
-            exchanges[e].records = await this.resolveDNS(exchanges[e].exchange, rrtype, /*lookupLimit=*/false);
-        };
+        chain = _.concat(chain || [], name);
 
-        return _.sortBy(exchanges, 'priority');
-    }
+        if (this.options.trace) {
+            const trace = { domain: hostname, record: undefined, queries: [], mechanisms: [] };
 
-    async resolveDNS(hostname, rrtype, lookupLimit) {
-        // Default behaviour is to throw PermError when limit is reached.
-        lookupLimit = _.isNil(lookupLimit) || lookupLimit === true;
+            // Records are attached to the "include" or "redirect" term that
+            // is being resolved, if not the first one.
+            if (this.traceNode) {
+                this.traceNode.target = trace;
+            } else {
+                this.trace = trace;
+            }
 
-        if (lookupLimit && this.queryDNSCount >= this.options.maxDNS) {
-            throw new SPFResult(results.PermError, 'Limit of DNS lookups reached');
+            this.traceNode = trace;
         }
 
-        return new Promise((resolve, reject) => {
-            dns.resolve(hostname, rrtype, (err, records) => {
-                lookupLimit && this.queryDNSCount++;
-
-                if (err) {
-                    // If the DNS lookup returns "domain does not exist",
-                    // immediately returns the result "None".
-                    if ((new RegExp('queryTxt (ENOTFOUND|ENODATA) ' + hostname)).test(err.message)) {
-                        reject(new SPFResult(results.None, 'Domain does not exists'));
-                    } else {
-                        reject(new SPFResult(results.TempError, err.message));
-                    }
-                } else {
-                    if (rrtype === 'TXT') {
-                        resolve(_.map(records, record => {
-                            return _.join(record, '');
-                        }));
-                    } else {
-                        resolve(records);
-                    }
-                }
-            });
-        });
-    }
-
-    async resolveSPF(hostname, rrtype) {
-        // TODO resolve SPF record and use them instead of TXT if exists
+        // Trace of this record, if enabled.
+        const traceRecord = this.traceNode;
 
-        const records = _.filter(await this.resolveDNS(hostname, 'TXT'), record => {
-            // Records that do not begin with a version section are discarded.
-            return _.startsWith(record, 'v=spf' + this.options.version + ' ');
-        });
+        const records = await this.fetchRecords(hostname);
 
         if (records.length === 0) {
             throw new SPFResult(results.None, 'Assume that the domain makes no SPF declarations');
@@ -199,11 +1192,15 @@ class SPF {
 
         const record = records.pop();
 
+        if (traceRecord) {
+            traceRecord.record = record;
+        }
+
         if (/[^\x00-\x7f]/.test(record)) {
             throw new SPFResult(results.PermError, 'Character content of the record should be encoded as US-ASCII');
         }
 
-        const parsed = spfParse(record);
+        const parsed = parseRecord(record);
 
         if (parsed.valid === false) {
             throw new SPFResult(results.PermError, 'There shouldn\'t be any syntax errors');
@@ -224,33 +1221,80 @@ class SPF {
         // True when there is an "all" mechanism.
         const catchAll = _.some(parsed.mechanisms, ['type', 'all']);
 
+        // Explanation modifier, only used when a mechanism of this record
+        // results in "Fail".
+        const explanation = _.find(parsed.mechanisms, ['type', 'exp']);
+
         // List of parsed/resolved mechanisms to be returned.
-        let resolved = [];
+        const resolved = [];
+
+        // The "redirect" modifier that applies, if any.
+        let redirect;
 
         for (let i = 0; i < parsed.mechanisms.length; i++) {
             // Parsed mechanisms to be resolved recursively.
             const mechanism = parsed.mechanisms[i];
 
+            if (traceRecord && mechanism.type !== 'version' && mechanism.type !== 'exp') {
+                mechanism.trace = {
+                    term: mechanism.term,
+                    qualifier: mechanism.prefix,
+                    type: mechanism.type,
+                    evaluated: false,
+                    matched: undefined,
+                    queries: [],
+                };
+
+                traceRecord.mechanisms.push(mechanism.trace);
+                this.traceNode = mechanism.trace;
+            }
+
             if (mechanism.type === 'redirect') {
+                // Any "redirect" modifier has effect only when there is not
+                // an "all" mechanism. Wherever it is, it is only evaluated
+                // after all mechanisms.
                 if (!catchAll) {
-                    // Any "redirect" modifier has effect only when there is
-                    // not an "all" mechanism.
-                    resolved = _.concat(resolved, await this.resolveSPF(mechanism.value, rrtype));
+                    redirect = mechanism;
                 }
 
                 continue;
             }
 
-            if (mechanism.type === 'a') {
-                mechanism.resolve = async () => {
-                    return { records: await this.resolveDNS(mechanism.value || hostname, rrtype) };
-                };
+            if (mechanism.type === 'exp') {
+                continue;
             }
 
-            if (mechanism.type === 'mx') {
-                mechanism.resolve = async () => {
-                    return { exchanges: await this.resolveMX(mechanism.value || hostname, rrtype) };
-                };
+            mechanism.hostname = hostname;
+
+            if (mechanism.type === 'version') {
+                // Kept for snapshots of the policy.
+                mechanism.record = record;
+            }
+
+            if (explanation) {
+                mechanism.exp = explanation.value;
+            }
+
+            if (mechanism.type === 'a' || mechanism.type === 'mx') {
+                // Optional ip4-cidr-length and ip6-cidr-length following the
+                // domain-spec.
+                const { domainSpec, cidr } = parseDualCIDR(mechanism.value);
+
+                mechanism.cidr = cidr;
+
+                if (mechanism.type === 'a') {
+                    mechanism.resolve = async () => {
+                        const domain = domainSpec ? await this.expandDomain(domainSpec, hostname) : hostname;
+
+                        return { records: await this.resolveDNS(domain, rrtype) };
+                    };
+                } else {
+                    mechanism.resolve = async () => {
+                        const domain = domainSpec ? await this.expandDomain(domainSpec, hostname) : hostname;
+
+                        return { exchanges: await this.resolveMX(domain, rrtype) };
+                    };
+                }
             }
 
             if (mechanism.type === 'ip4' || mechanism.type === 'ip6') {
@@ -267,9 +1311,43 @@ class SPF {
                 }
             }
 
+            if (mechanism.type === 'ptr') {
+                const warning = 'Mechanism "ptr" is deprecated and should not be used';
+
+                if (!_.includes(this.warnings, warning)) {
+                    this.warnings.push(warning);
+                }
+
+                mechanism.resolve = async () => {
+                    const domain = mechanism.value ? await this.expandDomain(mechanism.value, hostname) : hostname;
+
+                    return { target: _.toLower(domain), names: await this.resolvePTR(this.addr) };
+                };
+            }
+
+            if (mechanism.type === 'exists') {
+                mechanism.resolve = async () => {
+                    // The lookup type is always A, even when the client IP is
+                    // an IPv6 address.
+                    return { records: await this.resolveDNS(await this.expandDomain(mechanism.value, hostname), 'A') };
+                };
+            }
+
             if (mechanism.type === 'include') {
                 mechanism.resolve = async () => {
-                    return { includes: await this.resolveSPF(mechanism.value, rrtype) };
+                    const domain = await this.expandDomain(mechanism.value, hostname);
+
+                    try {
+                        return { includes: await this.resolveSPF(domain, rrtype, chain) };
+                    } catch (err) {
+                        // Included domains without record are errors of
+                        // the including one, see RFC 7208 section 5.2.
+                        if (err instanceof SPFResult && err.result === results.None) {
+                            throw new SPFResult(results.PermError, 'Domain "' + domain + '" of "' + mechanism.term + '" has no SPF record');
+                        }
+
+                        throw err;
+                    }
                 };
             }
 
@@ -282,10 +1360,46 @@ class SPF {
             resolved.push(mechanism);
 
             if (mechanism.type === 'all') {
+                // Kept for `checkInclude()` to tell terms that are never
+                // reached.
+                mechanism.ignored = _.filter(parsed.mechanisms, (term, j) => j > i || term.type === 'redirect');
+
                 break; // Mechanisms after "all" will never be resolved.
             }
         }
 
+        if (redirect) {
+            redirect.hostname = hostname;
+
+            redirect.resolve = async () => {
+                // The target is checked as a new domain, with its own
+                // default domain for mechanisms and macros.
+                const domain = await this.expandDomain(redirect.value, hostname);
+
+                try {
+                    return { mechanisms: await this.resolveSPF(domain, rrtype, chain) };
+                } catch (err) {
+                    if (err instanceof SPFResult && err.result === results.None) {
+                        throw new SPFResult(results.PermError, 'Domain "' + domain + '" of "' + redirect.term + '" has no SPF record');
+                    }
+
+                    throw err;
+                }
+            };
+
+            if (this.options.prefetch) {
+                // The target is attached to the modifier, not to the last
+                // mechanism resolved.
+                if (redirect.trace) {
+                    this.traceNode = redirect.trace;
+                }
+
+                _.assign(redirect, await redirect.resolve());
+            }
+
+            resolved.push(redirect);
+        }
+
         return resolved;
     }
 
@@ -313,7 +1427,147 @@ class SPF {
         return mechanisms;
     }
 
+    /**
+     * Returns the state of a new check, so checks of the instance can run
+     * concurrently without sharing lookup counts, client address, deadline or
+     * trace. Methods called on it are those of the instance.
+     *
+     * @private
+     * @param {DNSCache} [batchCache] - Cache of the answers shared by the
+     * checks of `checkMany()`.
+     * @returns {SPF}
+     */
+    newContext(batchCache) {
+        const context = Object.create(this);
+
+        // Limits apply to each check, so an instance can be used for many.
+        context.warnings = [];
+        context.queryDNSCount = 0;
+        context.voidLookupCount = 0;
+        context.addr = undefined;
+        context.batchCache = batchCache;
+        context.deadlineAt = this.options.deadline ? Date.now() + this.options.deadline : undefined;
+        context.trace = undefined;
+        context.traceNode = undefined;
+        context.lastMechanism = undefined;
+
+        return context;
+    }
+
+    /**
+     * @param {string} ip - IP address of the SMTP client.
+     * @returns {Promise<SPFResult>}
+     */
     async check(ip) {
+        return this.checkContext(this.newContext(), ip);
+    }
+
+    /**
+     * Runs a check in its own context, see `newContext()`.
+     *
+     * @private
+     * @param {SPF} context
+     * @param {string} ip
+     * @returns {Promise<SPFResult>}
+     */
+    async checkContext(context, ip) {
+        const result = await context.checkHost(ip);
+
+        _.assign(this, _.pick(context, ['warnings', 'queryDNSCount', 'voidLookupCount']));
+
+        if (context.trace) {
+            const mechanism = context.lastMechanism;
+
+            context.trace.result = result.result;
+
+            // Without any mechanism evaluated, it either reached the end of
+            // the record (null) or stopped before evaluating (undefined).
+            context.trace.stoppedAt = {
+                domain: mechanism ? mechanism.hostname : this.domain,
+                term: mechanism ? mechanism.term : (mechanism === null ? 'default' : undefined),
+            };
+
+            result.trace = context.trace;
+        }
+
+        // Values used to generate header fields out of the result.
+        result.identity = 'mailfrom';
+        result.clientIp = ip;
+        result.envelopeFrom = this.sender;
+        result.helo = this.options.helo;
+        result.receiver = this.options.receiver;
+
+        return result;
+    }
+
+    /**
+     * Checks many client IP addresses against the domain, one after the
+     * other. The policy and the answers of "a" and "mx" mechanisms are only
+     * looked up once for all of them, while lookup limits still apply to
+     * each check.
+     *
+     * @param {string[]} ips - IP addresses of the SMTP clients.
+     * @returns {Promise<SPFResult[]>} Results in the order of the addresses.
+     */
+    async checkMany(ips) {
+        const checks = [];
+        const batchCache = this.options.cache ? undefined : new DNSCache();
+
+        for (const ip of ips) {
+            checks.push(await this.checkContext(this.newContext(batchCache), ip));
+        }
+
+        return checks;
+    }
+
+    /**
+     * Checks the HELO identity as described in RFC 7208 section 2.3, that
+     * is the record of the HELO/EHLO domain with "postmaster" as sender.
+     *
+     * @param {string} ip - IP address of the SMTP client.
+     * @param {string} [helo] - Domain given in the HELO/EHLO command, defaults
+     * to the `helo` option.
+     * @returns {Promise<SPFResult>}
+     */
+    async checkHelo(ip, helo) {
+        helo = helo || this.options.helo;
+
+        let result;
+
+        // Address literals and other names that are not fully qualified
+        // domain names cannot be checked.
+        if (!_.isString(helo) || !tlsjs.isValid(helo)) {
+            result = new SPFResult(results.None, 'HELO identity is not a fully qualified domain name');
+            result.clientIp = ip;
+            result.helo = helo;
+            result.receiver = this.options.receiver;
+        } else {
+            // The candidate record is the one of the checked domain, which
+            // may still be included by the HELO domain.
+            const options = { ..._.omit(this.options, 'record'), helo };
+
+            if (_.isString(this.options.record)) {
+                options.records = { ...this.options.records, [this.domain]: this.options.record };
+            }
+
+            const spf = new SPF(helo, 'postmaster@' + helo, options);
+
+            result = await spf.check(ip);
+
+            this.warnings = _.concat(this.warnings, spf.warnings);
+        }
+
+        result.identity = 'helo';
+
+        return result;
+    }
+
+    /**
+     * @private
+     * @param {string} ip
+     * @returns {Promise<SPFResult>}
+     */
+    async checkHost(ip) {
         if (!ipaddr.isValid(ip)) {
             return new SPFResult(results.None, 'Malformed IP for comparison');
         }
@@ -321,8 +1575,11 @@ class SPF {
         if (!tlsjs.isValid(this.domain)) {
             return new SPFResult(results.None, 'No SPF record can be found on malformed domain');
         }
-        // Parsed IP address.
-        const addr = ipaddr.parse(ip);
+        // Parsed IP address. IPv4-mapped IPv6 addresses are handled as the
+        // IPv4 address they map.
+        const addr = ipaddr.process(ip);
+
+        this.addr = addr;
 
         try {
             let mechanisms = await this.getMechanisms(addr.kind() === 'ipv4' ? 'A' : 'AAAA')
@@ -336,53 +1593,159 @@ class SPF {
         }
     }
 
-    async evaluate(mechanisms, addr) {
-        // TODO implement exp
-
+    /**
+     * @param mechanisms
+     * @param addr
+     * @param {boolean} [included=false] - Whether the mechanisms come from an
+     * "include", whose results are not final.
+     * @returns {Promise<SPFResult>}
+     */
+    async evaluate(mechanisms, addr, included) {
         for (let i = 0; i < mechanisms.length; i++) {
             const mechanism = mechanisms[i];
 
+            // Last mechanism evaluated, where evaluation stops on errors.
+            this.lastMechanism = mechanism;
+
+            if (mechanism.trace) {
+                mechanism.trace.evaluated = true;
+                this.traceNode = mechanism.trace;
+            }
+
             if (!this.options.prefetch && mechanism.resolve) {
                 _.assign(mechanism, await mechanism.resolve());
             }
 
+            if (mechanism.type === 'redirect') {
+                // No mechanism matched, the result is the one of the target.
+                const result = await this.evaluate(mechanism.mechanisms, addr, included);
+
+                if (mechanism.trace) {
+                    mechanism.trace.result = result.result;
+                }
+
+                result.redirects = _.concat(_.toLower(mechanism.mechanisms[0].hostname), result.redirects);
+
+                if (result.mechanism !== 'default') {
+                    result.matched = _.concat('redirect', result.matched);
+                }
+
+                return result;
+            }
+
             if (mechanism.type === 'include') {
-                mechanism.evaluated = await this.evaluate(mechanism.includes, addr);
+                mechanism.evaluated = await this.evaluate(mechanism.includes, addr, /*included=*/true);
+            }
+
+            const matched = this.match(mechanism, addr);
+
+            if (mechanism.trace) {
+                mechanism.trace.matched = matched;
+
+                if (mechanism.type === 'include') {
+                    mechanism.trace.result = mechanism.evaluated.result;
+                }
             }
 
-            if (this.match(mechanism, addr)) {
+            if (matched) {
                 const result = new SPFResult(mechanism.prefixdesc);
 
+                this.lastMechanism = mechanism;
+
                 result.mechanism = mechanism.type;
                 result.matched = [mechanism.type];
 
                 if (mechanism.type === 'include') {
-                    result.matched = _.merge(result.matched, mechanism.evaluated.matched);
+                    result.matched = _.concat(result.matched, mechanism.evaluated.matched);
+                }
+
+                if (!included && result.result === results.Fail && mechanism.exp) {
+                    result.explanation = await this.explain(mechanism.exp, mechanism.hostname);
                 }
 
                 return result;
             }
         }
 
+        if (!included) {
+            // Evaluation reached the end of the record without a match.
+            this.lastMechanism = null;
+        }
+
         // If none of the mechanisms match, then returns a result of "Neutral",
         // just as if "?all" were specified as the last directive.
         return new SPFResult(results.Neutral);
     }
 
+    /**
+     * Fetches the explanation string pointed by an "exp" modifier and expands
+     * its macros. Any failure results in no explanation rather than changing
+     * the result of the check, unless the check is interrupted.
+     *
+     * @param {string} domainSpec - Value of the "exp" modifier.
+     * @param {string} domain - Domain of the record with the modifier.
+     * @returns {Promise<string|undefined>}
+     */
+    async explain(domainSpec, domain) {
+        try {
+            // This lookup does not count toward the DNS lookups limit.
+            const records = await this.resolveDNS(await this.expandDomain(domainSpec, domain), 'TXT', /*lookupLimit=*/false);
+
+            if (records.length !== 1 || /[^\x00-\x7f]/.test(records[0])) {
+                return undefined;
+            }
+
+            return await this.expand(records[0], domain, /*explanation=*/true);
+        } catch (err) {
+            if (isInterruption(err)) {
+                throw err;
+            }
+
+            return undefined;
+        }
+    }
+
 
     /**
-     * Check if the instance domain includes requiredDomain in its SPF records
+     * Check if the instance domain includes requiredDomain in its SPF records,
+     * following "include" and "redirect" terms in the order of evaluation,
+     * with the same DNS lookup limits as `check()`. The result is the one
+     * given to addresses authorized by the required domain, with the `chain`
+     * of domains leading to it and the `qualifier` in effect. It is "Fail"
+     * when the required domain is not found or would not be reached.
+     *
      * @param {string} requiredDomain domain to check it is included
      * @returns {Promise<SPFResult>}
      */
     async checkInclude(requiredDomain) {
+        const context = this.newContext();
+
+        try {
+            return await context.checkIncludeHost(requiredDomain);
+        } finally {
+            _.assign(this, _.pick(context, ['warnings', 'queryDNSCount', 'voidLookupCount']));
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} requiredDomain
+     * @returns {Promise<SPFResult>}
+     */
+    async checkIncludeHost(requiredDomain) {
         if (!tlsjs.isValid(this.domain)) {
             return new SPFResult(results.None, 'No SPF record can be found on malformed domain');
         }
 
+        // Findings of the required domain that do not authorize it, reported
+        // when it is not found elsewhere.
+        const search = { domain: _.toLower(_.trimEnd(requiredDomain, '.')), missed: undefined };
+
         try {
-            let mechanisms = await this.getMechanisms('A')
-            return await this.evaluateInclude(mechanisms, requiredDomain);
+            const mechanisms = await this.getMechanisms('A');
+            const result = await this.evaluateInclude(mechanisms, search, [_.toLower(this.domain)], [], []);
+
+            return result || search.missed || new SPFResult(results.Fail, 'Domain "' + search.domain + '" is not included');
         } catch (err) {
             if (err instanceof SPFResult) {
                 return err;
@@ -393,72 +1756,132 @@ class SPF {
     }
 
     /**
+     * Looks for the required domain of `checkInclude()` in resolved
+     * mechanisms, resolving the records of includes on the way.
+     *
      * @private
-     * @param mechanisms
-     * @param domain
-     * @param {any[]} [includeMechanisms=[]]
-     * @returns {Promise<SPFResult>}
+     * @param {Object[]} mechanisms
+     * @param {{ domain: string, missed: SPFResult|undefined }} search
+     * @param {string[]} chain - Domains leading to the record of the mechanisms.
+     * @param {Object[]} includes - "include" mechanisms leading to the record.
+     * @param {string[]} matched - Types of the terms leading to the record.
+     * @returns {Promise<SPFResult|undefined>} Result when the domain is found
+     * and reached.
      */
-    async evaluateInclude(mechanisms, domain, includeMechanisms) {
-        if (!includeMechanisms) {
-            includeMechanisms = [];
-        }
-        includeMechanisms.push(...mechanisms.filter(m => m.type === 'include'));
-        if (includeMechanisms.length === 0) {
-            return new SPFResult(results.Fail);
-        }
-        // loop first once to see if there is a direct match
-        for (let i = 0; i < includeMechanisms.length; i++) {
-            const mechanism = includeMechanisms[i];
-            if (mechanism.value && mechanism.value.toLowerCase() === domain.toLowerCase()) {
-                return new SPFResult(results.Pass);
-            }
-        }
-        // then go over all the includes recursively in a BFS manner
-        for (let i = 0; i < includeMechanisms.length; i++) {
-            const mechanism = includeMechanisms[i];
-            if (!this.options.prefetch && mechanism.resolve) {
-                try {
-                _.assign(mechanism, await mechanism.resolve());
-                } catch (err) {
-                    if (err instanceof SPFResult) {
-                        if (err.result === results.None) {
-                            continue;
-                        }
-                        throw err
-                    }
+    async evaluateInclude(mechanisms, search, chain, includes, matched) {
+        for (let i = 0; i < mechanisms.length; i++) {
+            const mechanism = mechanisms[i];
 
+            if (mechanism.type === 'all') {
+                // Terms after "all" and "redirect" modifiers along with it
+                // are never evaluated.
+                const ignored = _.find(mechanism.ignored, term => {
+                    return (term.type === 'include' || term.type === 'redirect') && _.toLower(term.value) === search.domain;
+                });
+
+                if (ignored && !search.missed) {
+                    search.missed = new SPFResult(results.Fail, 'Term "' + ignored.term + '" of "' + _.toLower(mechanism.hostname) + '" is never reached as it comes along with "' + mechanism.term + '"');
+                    search.missed.chain = _.concat(chain, search.domain);
                 }
+
+                continue;
             }
 
-            if (mechanism.type === 'include') {
-                includeMechanisms = includeMechanisms.slice(i + 1)
-                mechanism.evaluated = await this.evaluateInclude(mechanism.includes, domain, includeMechanisms);
+            if (!_.includes(['include', 'redirect', 'a', 'mx', 'ptr', 'exists'], mechanism.type)) {
+                continue;
             }
 
-            if (mechanism.evaluated.result === results.None) {
-                throw new SPFResult(results.PermError, 'Validation for "include:' + mechanism.value + '" missed');
+            // Other terms with lookups and terms depending on the message
+            // cannot be followed, but their lookups still count toward the
+            // limit as in checks.
+            if ((mechanism.type !== 'include' && mechanism.type !== 'redirect') || _.includes(mechanism.value, '%')) {
+                this.checkLookupLimit();
+                this.queryDNSCount++;
+
+                continue;
             }
 
-            if (this.match(mechanism)) {
-                const result = new SPFResult(mechanism.prefixdesc);
+            // The result of the target of a redirect is the one of the record
+            // with the modifier, so it does not change the qualifier in effect.
+            const path = mechanism.type === 'redirect' ? includes : _.concat(includes, mechanism);
+            const types = _.concat(matched, mechanism.type);
 
-                result.mechanism = mechanism.type;
-                result.matched = [mechanism.type];
+            if (_.toLower(_.trimEnd(mechanism.value, '.')) === search.domain) {
+                const result = this.includeFound(search, _.concat(chain, search.domain), path, types);
 
-                if (mechanism.type === 'include') {
-                    result.matched = _.merge(result.matched, mechanism.evaluated.matched);
+                if (result) {
+                    return result;
+                }
+
+                continue;
+            }
+
+            const key = mechanism.type === 'redirect' ? 'mechanisms' : 'includes';
+
+            if (!mechanism[key]) {
+                try {
+                    _.assign(mechanism, await mechanism.resolve());
+                } catch (err) {
+                    // Like targets without record, reported with the domains
+                    // leading to the one that failed.
+                    if (err instanceof SPFResult && !err.chain) {
+                        err.chain = _.concat(chain, _.toLower(_.trimEnd(mechanism.value, '.')));
+                    }
+
+                    throw err;
                 }
+            }
 
+            const target = _.toLower(mechanism[key][0].hostname);
+            const result = await this.evaluateInclude(mechanism[key], search, _.concat(chain, target), path, types);
+
+            if (result) {
                 return result;
             }
         }
 
-        // If none of the mechanisms match, then returns a result of "Neutral",
-        // just as if "?all" were specified as the last directive.
-        return new SPFResult(results.Fail);
+        return undefined;
     }
 
+    /**
+     * Returns the result of `checkInclude()` once the required domain is
+     * found, or keeps why it does not authorize it and continues the search.
+     *
+     * @private
+     * @param {{ domain: string, missed: SPFResult|undefined }} search
+     * @param {string[]} chain - Domains leading to the required domain.
+     * @param {Object[]} includes - "include" mechanisms leading to it.
+     * @param {string[]} matched - Types of the terms leading to it.
+     * @returns {SPFResult|undefined}
+     */
+    includeFound(search, chain, includes, matched) {
+        // Included records only make the include match when they result in
+        // "Pass", so any other qualifier below the first include hides it.
+        const blocking = _.find(_.tail(includes), mechanism => mechanism.prefix !== '+');
+
+        const describe = (result, qualifier) => {
+            result.chain = chain;
+            result.qualifier = qualifier;
+            result.mechanism = _.last(matched);
+            result.matched = matched;
+
+            return result;
+        };
+
+        if (blocking) {
+            if (!search.missed) {
+                search.missed = describe(new SPFResult(results.Fail, 'Domain "' + search.domain + '" is included by "' + blocking.term + '" of "' + blocking.hostname + '" that never results in "Pass"'), blocking.prefix);
+            }
+
+            return undefined;
+        }
+
+        const result = describe(new SPFResult(includes.length > 0 ? includes[0].prefixdesc : results.Pass), includes.length > 0 ? includes[0].prefix : '+');
+
+        result.message = 'Domain "' + search.domain + '" is included through ' + _.join(chain, ' -> ');
+
+        return result;
+    }
 
     match(mechanism, addr) {
         switch (mechanism.type) {
@@ -469,11 +1892,11 @@ class SPF {
                 return false;
 
             case 'a':
-                return _.includes(mechanism.records, addr.toString());
+                return _.some(mechanism.records, record => matchAddress(addr, record, mechanism.cidr));
 
             case 'mx':
                 for (let i = 0; i < mechanism.exchanges.length; i++) {
-                    if (_.includes(mechanism.exchanges[i].records, addr.toString())) {
+                    if (_.some(mechanism.exchanges[i].records, record => matchAddress(addr, record, mechanism.cidr))) {
                         return true;
                     }
                 }
@@ -492,14 +1915,15 @@ class SPF {
                 return addr.match(mechanism.address);
 
             case 'include':
-                if (mechanism.evaluated.result === results.None) {
-                    throw new SPFResult(results.PermError, 'Validation for "include:' + mechanism.value + '" missed');
-                }
-
                 return mechanism.evaluated.result === results.Pass;
 
-            // TODO implement ptr
-            // TODO implement exists
+            case 'exists':
+                return mechanism.records.length > 0;
+
+            case 'ptr':
+                // Matches when a validated name is the target domain or one
+                // of its subdomains.
+                return _.some(mechanism.names, name => name === mechanism.target || _.endsWith(name, '.' + mechanism.target));
 
             case 'all':
                 return true;
@@ -518,3 +1942,12 @@ module.exports = async function(ip, domain, sender, options) {
 
 module.exports.SPFResults = results;
 module.exports.SPF = SPF;
+module.exports.SPFResult = SPFResult;
+module.exports.DNSCache = DNSCache;
+module.exports.ZoneResolver = ZoneResolver;
+module.exports.lint = require('./lib/lint');
+module.exports.flatten = require('./lib/flatten');
+module.exports.networks = require('./lib/networks');
+module.exports.snapshot = require('./lib/snapshot').snapshot;
+module.exports.diff = require('./lib/snapshot').diff;
+module.exports.dmarc = require('./lib/dmarc');
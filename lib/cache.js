@@ -0,0 +1,128 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * @typedef {Object} DNSCacheOptions
+ * @property {number} [minTTL=0] - Minimum time in seconds an answer is kept.
+ * @property {number} [maxTTL=3600] - Maximum time in seconds an answer is kept,
+ * no matter its TTL.
+ * @property {number} [defaultTTL=300] - Time in seconds an answer is kept when
+ * its TTL is not known, like TXT and MX answers from `dns.promises.Resolver`.
+ * @property {number} [negativeTTL=60] - Time in seconds "domain does not exist"
+ * and "no data" answers are kept.
+ * @property {number} [maxEntries=10000] - Number of answers kept before the
+ * oldest ones are dropped.
+ */
+
+/**
+ * Cache of DNS answers that can be shared by many `SPF` instances through the
+ * `cache` option. Temporary errors are never cached.
+ *
+ * Answers are kept for their TTL when the resolver tells it. As
+ * `dns.promises.Resolver` only does for address answers, its TXT and MX
+ * answers, like the records of includes, are kept for `defaultTTL`.
+ */
+class DNSCache {
+    /**
+     * @param {DNSCacheOptions} [options]
+     */
+    constructor(options) {
+        this.options = {
+            minTTL: 0,
+            maxTTL: 3600,
+            defaultTTL: 300,
+            negativeTTL: 60,
+            maxEntries: 10000,
+
+            ...options,
+        };
+
+        /** @private */
+        this.entries = new Map();
+    }
+
+    /**
+     * Returns the cached answer for a lookup, if not expired. It either has
+     * `records` or the `error` of a negative answer.
+     *
+     * @param {string} rrtype
+     * @param {string} hostname
+     * @returns {{ records: any[] }|{ error: Error }|undefined}
+     */
+    get(rrtype, hostname) {
+        const key = this.key(rrtype, hostname);
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            return undefined;
+        }
+
+        if (entry.expires <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        return _.pick(entry, entry.error ? 'error' : 'records');
+    }
+
+    /**
+     * Caches the records of a lookup.
+     *
+     * @param {string} rrtype
+     * @param {string} hostname
+     * @param {any[]} records
+     * @param {number} [ttl] - TTL in seconds of the answer, if known.
+     */
+    set(rrtype, hostname, records, ttl) {
+        if (!_.isFinite(ttl)) {
+            ttl = this.options.defaultTTL;
+        }
+
+        ttl = _.clamp(ttl, this.options.minTTL, this.options.maxTTL);
+
+        this.store(rrtype, hostname, { records }, ttl);
+    }
+
+    /**
+     * Caches a "domain does not exist" or "no data" answer.
+     *
+     * @param {string} rrtype
+     * @param {string} hostname
+     * @param {Error} error - Error rejected by the resolver.
+     */
+    setNegative(rrtype, hostname, error) {
+        this.store(rrtype, hostname, { error }, Math.min(this.options.negativeTTL, this.options.maxTTL));
+    }
+
+    /**
+     * Drops all cached answers.
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /** @private */
+    store(rrtype, hostname, entry, ttl) {
+        if (ttl <= 0) {
+            return;
+        }
+
+        const key = this.key(rrtype, hostname);
+
+        // Re-inserted so entries stay in insertion order, oldest first.
+        this.entries.delete(key);
+        this.entries.set(key, { ...entry, expires: Date.now() + ttl * 1000 });
+
+        while (this.entries.size > this.options.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /** @private */
+    key(rrtype, hostname) {
+        return rrtype + ' ' + _.toLower(_.trimEnd(hostname, '.'));
+    }
+}
+
+module.exports = DNSCache;
@@ -0,0 +1,136 @@
+'use strict';
+
+const ipaddr = require('ipaddr.js');
+const _ = require('lodash');
+
+/**
+ * @typedef {Object} Network
+ * @property {ipaddr.IPv4|ipaddr.IPv6} addr - First address of the network.
+ * @property {number} bits - CIDR length.
+ */
+
+/**
+ * Returns the network of an address with the given CIDR length, clearing the
+ * bits of the host part.
+ *
+ * @param {ipaddr.IPv4|ipaddr.IPv6} addr
+ * @param {number} bits
+ * @returns {Network}
+ */
+function network(addr, bits) {
+    const bytes = _.map(addr.toByteArray(), (byte, i) => {
+        const kept = _.clamp(bits - i * 8, 0, 8);
+
+        return byte & (0xff << (8 - kept));
+    });
+
+    return { addr: ipaddr.fromByteArray(bytes), bits };
+}
+
+/**
+ * Checks if a network contains another one, or is the same.
+ *
+ * @param {Network} outer
+ * @param {Network} inner
+ * @returns {boolean}
+ */
+function contains(outer, inner) {
+    return outer.addr.kind() === inner.addr.kind() && outer.bits <= inner.bits && inner.addr.match(outer.addr, outer.bits);
+}
+
+/**
+ * Checks if two networks have any address in common. As CIDR networks either
+ * contain each other or do not overlap, this is the case when one of them
+ * contains the other.
+ *
+ * @param {Network} a
+ * @param {Network} b
+ * @returns {boolean}
+ */
+function overlaps(a, b) {
+    return contains(a, b) || contains(b, a);
+}
+
+/**
+ * Orders networks by kind, IPv4 first, then by address and CIDR length.
+ *
+ * @param {Network} a
+ * @param {Network} b
+ * @returns {number}
+ */
+function compare(a, b) {
+    if (a.addr.kind() !== b.addr.kind()) {
+        return a.addr.kind() === 'ipv4' ? -1 : 1;
+    }
+
+    const bytesA = a.addr.toByteArray();
+    const bytesB = b.addr.toByteArray();
+
+    for (let i = 0; i < bytesA.length; i++) {
+        if (bytesA[i] !== bytesB[i]) {
+            return bytesA[i] - bytesB[i];
+        }
+    }
+
+    return a.bits - b.bits;
+}
+
+/**
+ * Merges networks of the same kind, dropping the ones contained in others and
+ * joining adjacent halves of a larger network, until no more can be merged.
+ *
+ * @param {Network[]} networks
+ * @returns {Network[]} Sorted networks.
+ */
+function merge(networks) {
+    let merged = _.map(networks, entry => network(entry.addr, entry.bits));
+    let changed = true;
+
+    while (changed) {
+        changed = false;
+
+        const sorted = merged.sort(compare);
+
+        merged = [];
+
+        _.forEach(sorted, entry => {
+            const last = _.last(merged);
+
+            if (last && contains(last, entry)) {
+                return;
+            }
+
+            // Two halves of the same network, like 192.0.2.0/25 and
+            // 192.0.2.128/25.
+            if (last && last.bits === entry.bits && entry.bits > 0 && last.addr.kind() === entry.addr.kind()
+                && contains(network(last.addr, last.bits - 1), entry)) {
+                merged[merged.length - 1] = network(last.addr, last.bits - 1);
+                changed = true;
+                return;
+            }
+
+            merged.push(entry);
+        });
+    }
+
+    return merged;
+}
+
+/**
+ * Returns the "ip4" or "ip6" term of a network, without the CIDR length when
+ * it is a single address.
+ *
+ * @param {Network} entry
+ * @param {string} [qualifier="+"]
+ * @returns {string}
+ */
+function format(entry, qualifier) {
+    const ipv4 = entry.addr.kind() === 'ipv4';
+    const single = entry.bits === (ipv4 ? 32 : 128);
+
+    return (qualifier && qualifier !== '+' ? qualifier : '')
+        + (ipv4 ? 'ip4:' : 'ip6:') + entry.addr.toString()
+        + (single ? '' : '/' + entry.bits);
+}
+
+module.exports = { network, contains, overlaps, compare, merge, format };
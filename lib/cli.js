@@ -0,0 +1,353 @@
+'use strict';
+
+const dns = require('dns');
+const net = require('net');
+
+const _ = require('lodash');
+
+const { SPF } = require('../index');
+
+/** Exit codes of each result, so checks can be scripted. */
+const exitCodes = {
+    Pass: 0,
+    Fail: 1,
+    SoftFail: 2,
+    Neutral: 3,
+    None: 4,
+    TempError: 5,
+    PermError: 6,
+};
+
+/** Exit code of invalid command lines, EX_USAGE from sysexits.h. */
+const usageExitCode = 64;
+
+const usage = `Usage: spf-check [options] <command>
+
+Commands:
+  check <ip> <domain> [sender]           Check if a host is authorized to send mail for a domain
+  include <domain> <required-include>    Check if a domain includes another one
+  record <domain>                        Print the resolved mechanism tree of a domain
+
+Options:
+  --max-dns <n>          Limit of DNS lookups (default: 10)
+  --prefetch             Resolve all mechanisms before evaluating them
+  --nameserver <ip>      DNS server to use, can be repeated
+  --timeout <ms>         Timeout of each DNS query
+  --json                 Print JSON output
+  -h, --help             Print this help
+
+The exit code is 0 for Pass, 1 for Fail, 2 for SoftFail, 3 for Neutral,
+4 for None, 5 for TempError, 6 for PermError and 64 for usage errors.
+`;
+
+/** Options taking a value. */
+const valueFlags = ['max-dns', 'nameserver', 'timeout'];
+
+/** Options without value. */
+const booleanFlags = ['prefetch', 'json', 'help'];
+
+/**
+ * Tells whether a value is a DNS server as taken by `Resolver.setServers`,
+ * an IP address with an optional port, like "192.0.2.1:53" or "[2001:db8::1]:53".
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isServer(value) {
+    const match = /^\[(.+)\](?::\d+)?$/.exec(value) || /^([^:]+):\d+$/.exec(value);
+
+    return net.isIP(match ? match[1] : value) !== 0;
+}
+
+/**
+ * Parses command line arguments into positional arguments and flags.
+ *
+ * @param {string[]} argv
+ * @returns {{ args: string[], flags: Object }}
+ */
+function parseArgs(argv) {
+    const args = [];
+    const flags = { nameserver: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            args.push(..._.slice(argv, i + 1));
+            break;
+        }
+
+        if (arg === '-h') {
+            flags.help = true;
+            continue;
+        }
+
+        if (!_.startsWith(arg, '--')) {
+            args.push(arg);
+            continue;
+        }
+
+        const [name, inline] = _.split(arg.slice(2), /=(.*)/);
+
+        if (_.includes(booleanFlags, name) && _.isUndefined(inline)) {
+            flags[name] = true;
+            continue;
+        }
+
+        if (!_.includes(valueFlags, name)) {
+            throw new Error('Unknown option "' + arg + '"');
+        }
+
+        const value = _.isUndefined(inline) ? argv[++i] : inline;
+
+        if (_.isUndefined(value)) {
+            throw new Error('Missing value of option "--' + name + '"');
+        }
+
+        if (name === 'nameserver' ? !isServer(value) : !/^\d+$/.test(value)) {
+            throw new Error('Invalid value of option "--' + name + '": ' + value);
+        }
+
+        if (name === 'nameserver') {
+            flags.nameserver.push(value);
+        } else {
+            flags[name] = Number(value);
+        }
+    }
+
+    return { args, flags };
+}
+
+/**
+ * Returns the options of checks for the given flags.
+ *
+ * @param {Object} flags
+ * @param {import('../index').DNSResolver} [resolver] - Resolver to use instead of
+ * one set up with the flags.
+ * @returns {import('../index').SPFOptions}
+ */
+function checkOptions(flags, resolver) {
+    const options = { prefetch: Boolean(flags.prefetch) };
+
+    if (!_.isUndefined(flags['max-dns'])) {
+        options.maxDNS = flags['max-dns'];
+    }
+
+    if (flags.timeout) {
+        options.queryTimeout = flags.timeout;
+    }
+
+    if (resolver) {
+        options.resolver = resolver;
+    } else if (flags.nameserver.length > 0) {
+        options.resolver = new dns.promises.Resolver();
+        options.resolver.setServers(flags.nameserver);
+    }
+
+    return options;
+}
+
+/**
+ * Prints the result of a check.
+ *
+ * @param {import('../index').SPFResult} result
+ * @param {string[]} warnings
+ * @param {Object} flags
+ * @param {function(string): void} print
+ */
+function printResult(result, warnings, flags, print) {
+    if (flags.json) {
+        print(JSON.stringify({
+            result: result.result,
+            message: result.message,
+            mechanism: result.mechanism,
+            matched: result.matched,
+            explanation: result.explanation,
+            chain: result.chain,
+            qualifier: result.qualifier,
+            warnings,
+        }, null, 2));
+
+        return;
+    }
+
+    print(result.result + ': ' + result.message);
+
+    if (result.matched) {
+        print('Matched: ' + _.join(result.matched, ' > '));
+    }
+
+    if (result.chain) {
+        print('Chain: ' + _.join(result.chain, ' -> '));
+    }
+
+    if (result.explanation) {
+        print('Explanation: ' + result.explanation);
+    }
+
+    _.forEach(warnings, warning => print('Warning: ' + warning));
+}
+
+/**
+ * Resolves mechanisms, including the records of includes, into a tree.
+ * Failures are kept in the tree, so the rest of it can still be printed.
+ *
+ * @param {Object[]} mechanisms - Mechanisms from `SPF.getMechanisms`.
+ * @returns {Promise<Object[]>}
+ */
+async function resolveTree(mechanisms) {
+    const nodes = [];
+
+    for (const mechanism of mechanisms) {
+        if (mechanism.type === 'version') {
+            continue;
+        }
+
+        const node = { domain: mechanism.hostname, term: mechanism.term };
+
+        // Mechanisms depending on the client address cannot be resolved, and
+        // prefetched ones already are.
+        const resolvable = mechanism.resolve && mechanism.type !== 'ptr' && !_.includes(mechanism.value, '%');
+        const prefetched = _.some(['records', 'exchanges', 'includes', 'mechanisms'], key => _.has(mechanism, key));
+
+        try {
+            const resolved = resolvable && !prefetched ? await mechanism.resolve() : mechanism;
+
+            if (resolved.records) {
+                node.addresses = resolved.records;
+            } else if (resolved.exchanges) {
+                node.exchanges = _.map(resolved.exchanges, exchange => ({ exchange: exchange.exchange, addresses: exchange.records }));
+            } else if (resolved.includes || resolved.mechanisms) {
+                node.mechanisms = await resolveTree(resolved.includes || resolved.mechanisms);
+            }
+        } catch (err) {
+            node.error = (err.result ? err.result + ': ' : '') + err.message;
+        }
+
+        nodes.push(node);
+    }
+
+    return nodes;
+}
+
+/**
+ * Prints a mechanism tree, indenting the records of includes.
+ *
+ * @param {Object[]} nodes
+ * @param {function(string): void} print
+ * @param {string} [indent=""]
+ */
+function printTree(nodes, print, indent) {
+    indent = indent || '';
+
+    // All nodes are terms of the same record.
+    if (nodes.length > 0) {
+        print(indent + nodes[0].domain);
+    }
+
+    _.forEach(nodes, node => {
+        let line = indent + '  ' + node.term;
+
+        if (node.addresses) {
+            line += ' -> ' + (_.join(node.addresses, ', ') || '(none)');
+        }
+
+        if (node.error) {
+            line += ' !! ' + node.error;
+        }
+
+        print(line);
+
+        _.forEach(node.exchanges, exchange => {
+            print(indent + '    ' + exchange.exchange + ' -> ' + (_.join(exchange.addresses, ', ') || '(none)'));
+        });
+
+        if (node.mechanisms) {
+            printTree(node.mechanisms, print, indent + '    ');
+        }
+    });
+}
+
+/**
+ * Runs the command line interface.
+ *
+ * @param {string[]} argv - Arguments, without the node and script paths.
+ * @param {Object} [env] - Streams to write to and resolver to use, for tests.
+ * @param {NodeJS.WritableStream} [env.stdout=process.stdout]
+ * @param {NodeJS.WritableStream} [env.stderr=process.stderr]
+ * @param {import('../index').DNSResolver} [env.resolver]
+ * @returns {Promise<number>} Exit code.
+ */
+async function run(argv, env) {
+    env = { stdout: process.stdout, stderr: process.stderr, ...env };
+
+    const print = line => env.stdout.write(line + '\n');
+
+    let args;
+    let flags;
+    try {
+        ({ args, flags } = parseArgs(argv));
+    } catch (err) {
+        env.stderr.write(err.message + '\n\n' + usage);
+
+        return usageExitCode;
+    }
+
+    const [command, ...params] = args;
+    const arity = { check: [2, 3], include: [2, 2], record: [1, 1] }[command];
+
+    if (flags.help) {
+        env.stdout.write(usage);
+
+        return 0;
+    }
+
+    if (!arity || params.length < arity[0] || params.length > arity[1]) {
+        env.stderr.write(usage);
+
+        return usageExitCode;
+    }
+
+    const options = checkOptions(flags, env.resolver);
+
+    if (command === 'check') {
+        const [ip, domain, sender] = params;
+        const spf = new SPF(domain, sender, options);
+        const result = await spf.check(ip);
+
+        printResult(result, spf.warnings, flags, print);
+
+        return exitCodes[result.result];
+    }
+
+    if (command === 'include') {
+        const [domain, requiredDomain] = params;
+        const spf = new SPF(domain, options);
+        const result = await spf.checkInclude(requiredDomain);
+
+        printResult(result, spf.warnings, flags, print);
+
+        return exitCodes[result.result];
+    }
+
+    const spf = new SPF(params[0], options);
+
+    let tree;
+    try {
+        tree = await resolveTree(await spf.getMechanisms('A'));
+    } catch (err) {
+        printResult(err, spf.warnings, flags, print);
+
+        return exitCodes[err.result];
+    }
+
+    if (flags.json) {
+        print(JSON.stringify(tree, null, 2));
+    } else {
+        printTree(tree, print);
+    }
+
+    return 0;
+}
+
+module.exports = { run, exitCodes };
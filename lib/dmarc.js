@@ -0,0 +1,183 @@
+'use strict';
+
+const tlsjs = require('tldjs');
+const _ = require('lodash');
+
+/** Values of the "p" and "sp" tags. */
+const policies = ['none', 'quarantine', 'reject'];
+
+/**
+ * @typedef {Object} DMARCPolicy
+ * @property {string} domain - Domain of the "_dmarc" record, the From domain or its
+ * organizational domain.
+ * @property {string} record - DMARC record as fetched.
+ * @property {string} p - Policy of the domain: "none", "quarantine" or "reject".
+ * @property {string} sp - Policy of subdomains, "p" when not set.
+ * @property {number} pct - Percentage of messages the policy applies to.
+ * @property {string} aspf - SPF alignment mode, "r" for relaxed or "s" for strict.
+ */
+
+/**
+ * @typedef {Object} DMARCAlignment
+ * @property {import('../index').SPFResult} spf - Result of the SPF check.
+ * @property {string} domain - Domain authenticated by SPF, of the MAIL FROM identity or
+ * of the HELO identity for null senders.
+ * @property {string} fromDomain - Domain of the RFC5322.From header field.
+ * @property {string} organizationalDomain - Organizational domain of `fromDomain`.
+ * @property {DMARCPolicy|null} policy - DMARC policy of `fromDomain`, if any.
+ * @property {string} [policyError] - Why the DMARC record could not be fetched, if so.
+ * @property {string} mode - SPF alignment mode applied, "strict" or "relaxed".
+ * @property {boolean} aligned - Whether SPF passes for a domain aligned with `fromDomain`.
+ */
+
+/**
+ * Returns the organizational domain of a domain, like "example.co.uk" for
+ * "mail.example.co.uk".
+ *
+ * @param {string} domain
+ * @returns {string}
+ */
+function organizationalDomain(domain) {
+    return tlsjs.getDomain(domain) || domain;
+}
+
+/**
+ * Parses a DMARC record, returning `null` when it is not a valid one.
+ *
+ * @param {string} record
+ * @returns {Object<string, string>|null} Tags by lowercase name.
+ */
+function parseRecord(record) {
+    const tags = {};
+
+    _.forEach(_.split(record, ';'), part => {
+        const at = part.indexOf('=');
+
+        if (at !== -1) {
+            tags[_.toLower(_.trim(part.slice(0, at)))] = _.trim(part.slice(at + 1));
+        }
+    });
+
+    if (tags.v !== 'DMARC1' || !_.includes(policies, _.toLower(tags.p))) {
+        return null;
+    }
+
+    return tags;
+}
+
+/**
+ * Looks up the DMARC policy of a domain as described in RFC 7489 section 6.6.3,
+ * from the domain itself, then from its organizational domain.
+ *
+ * @param {import('../index').SPF} spf - Instance doing the lookups.
+ * @param {string} domain - From domain.
+ * @returns {Promise<DMARCPolicy|null>}
+ */
+async function fetchPolicy(spf, domain) {
+    for (const name of _.uniq([domain, organizationalDomain(domain)])) {
+        let records;
+        try {
+            // This lookup is not part of the SPF check.
+            records = await spf.resolveDNS('_dmarc.' + name, 'TXT', /*lookupLimit=*/false);
+        } catch (err) {
+            if (err.result !== SPFResults.None) {
+                throw err;
+            }
+
+            records = [];
+        }
+
+        records = _.filter(records, record => /^v\s*=\s*DMARC1\s*(;|$)/.test(record));
+
+        // Domains with more than one record have no policy.
+        const tags = records.length === 1 ? parseRecord(records[0]) : null;
+
+        if (tags) {
+            const pct = /^\d+$/.test(tags.pct || '') ? _.clamp(Number(tags.pct), 0, 100) : 100;
+            const p = _.toLower(tags.p);
+
+            return {
+                domain: name,
+                record: records[0],
+                p,
+                sp: _.includes(policies, _.toLower(tags.sp)) ? _.toLower(tags.sp) : p,
+                pct,
+                aspf: _.toLower(tags.aspf) === 's' ? 's' : 'r',
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Checks SPF for a message and whether it counts for DMARC, as described in
+ * RFC 7489 section 3.1.2: SPF has to pass for a domain aligned with the
+ * domain of the RFC5322.From header field, under the "aspf" mode of the DMARC
+ * policy of the From domain.
+ *
+ * @param {string} ip - IP address of the SMTP client.
+ * @param {string} sender - MAIL FROM address, "<>" or an empty string for null senders.
+ * @param {string} fromDomain - Domain of the RFC5322.From header field.
+ * @param {import('../index').SPFOptions} [options] - Options of the check, with `helo`
+ * for null senders.
+ * @returns {Promise<DMARCAlignment>}
+ */
+async function dmarc(ip, sender, fromDomain, options) {
+    sender = sender || '';
+    fromDomain = _.toLower(_.trimEnd(fromDomain, '.'));
+
+    const nullSender = sender === '<>' || sender === '';
+
+    // Null senders are checked with the HELO domain.
+    const domain = nullSender ? _.get(options, 'helo', '') : sender.slice(sender.lastIndexOf('@') + 1);
+
+    let spf;
+    let result;
+
+    if (nullSender && !domain) {
+        // Bounces from clients whose HELO domain is unknown have no identity
+        // to check, the instance only does the DMARC lookups.
+        spf = new SPF(fromDomain, options);
+        result = new SPFResult(SPFResults.None, 'Null sender without HELO identity');
+        result.identity = 'mailfrom';
+        result.clientIp = ip;
+        result.receiver = _.get(options, 'receiver');
+    } else {
+        spf = new SPF(domain, sender, options);
+        result = await spf.check(ip);
+    }
+
+    const alignment = {
+        spf: result,
+        domain: _.toLower(_.trimEnd(domain, '.')),
+        fromDomain,
+        organizationalDomain: organizationalDomain(fromDomain),
+        policy: null,
+        mode: 'relaxed',
+        aligned: false,
+    };
+
+    try {
+        alignment.policy = await fetchPolicy(spf, alignment.fromDomain);
+    } catch (err) {
+        alignment.policyError = (err.result ? err.result + ': ' : '') + err.message;
+    }
+
+    if (alignment.policy && alignment.policy.aspf === 's') {
+        alignment.mode = 'strict';
+    }
+
+    if (result.result === SPFResults.Pass) {
+        alignment.aligned = alignment.mode === 'strict'
+            ? alignment.domain === alignment.fromDomain
+            : organizationalDomain(alignment.domain) === alignment.organizationalDomain;
+    }
+
+    return alignment;
+}
+
+module.exports = dmarc;
+
+// Required last as the main module requires this one.
+const { SPF, SPFResult, SPFResults } = require('../index');
@@ -0,0 +1,340 @@
+'use strict';
+
+const _ = require('lodash');
+
+const cidr = require('./cidr');
+const { anyNetworks, resolveTree, mechanismNetworks, branchError } = require('./resolve');
+
+/**
+ * @typedef {Object} FlattenOptions
+ * @property {number} [maxLength=450] - Maximum size in bytes of each record, so answers
+ * fit in a 512 bytes UDP packet.
+ * @property {string} [prefix="_spf"] - Prefix of the names of chained records, like
+ * "_spf1.example.com".
+ */
+
+/**
+ * @typedef {Object} FlattenRecord
+ * @property {string} name - Name of the TXT record.
+ * @property {string} value - Record as read back from DNS.
+ * @property {string[]} strings - Strings of at most 255 characters to publish.
+ */
+
+/**
+ * @typedef {Object} FlattenResult
+ * @property {string} domain
+ * @property {FlattenRecord[]} records - Record of the domain first, then chained records.
+ * @property {{ term: string, domain: string, reason: string }[]} kept - Terms published
+ * as they are as they cannot be flattened.
+ * @property {string[]} warnings - Changes of behaviour to review before publishing.
+ */
+
+/**
+ * Builds records with the same policy as the records of a domain, where
+ * includes, "a" and "mx" mechanisms are replaced by the addresses they
+ * resolve to. Lookup limits do not apply while flattening.
+ *
+ * @param {string} domain
+ * @param {import('../index').SPFOptions & FlattenOptions} [options]
+ * @returns {Promise<FlattenResult>}
+ */
+async function flatten(domain, options) {
+    options = {
+        maxLength: 450,
+        prefix: '_spf',
+
+        ...options,
+    };
+
+    const context = { domain: _.toLower(domain), kept: [], warnings: [] };
+    const { mechanisms, mechanisms6 } = await resolveTree(domain, options);
+
+    const items = await flattenMechanisms(context, mechanisms, mechanisms6);
+
+    _.forEach(items, item => {
+        if (item.kept) {
+            context.kept.push(_.pick(item, ['term', 'domain', 'reason']));
+        }
+    });
+
+    const all = _.find(items, 'all');
+    const redirect = _.find(items, 'redirect');
+    const terms = toTerms(_.reject(items, item => item.all || item.redirect));
+    const exp = _.get(_.find(mechanisms, mechanism => mechanism.exp && _.toLower(mechanism.hostname) === context.domain), 'exp');
+
+    const tail = _.compact([all && format(all.qualifier, 'all'), redirect && redirect.term, exp && 'exp=' + exp]);
+
+    return {
+        domain: context.domain,
+        records: buildRecords(context, terms, tail, options),
+        kept: context.kept,
+        warnings: context.warnings,
+    };
+}
+
+/**
+ * @param {string} qualifier
+ * @param {string} term
+ * @returns {string}
+ */
+function format(qualifier, term) {
+    return (qualifier === '+' ? '' : qualifier) + term;
+}
+
+/**
+ * Flattens resolved mechanisms into networks and terms kept as they are.
+ *
+ * @param {Object} context
+ * @param {Object[]} mechanisms - Mechanisms resolved for IPv4 clients.
+ * @param {Object[]} mechanisms6 - Same mechanisms resolved for IPv6 clients.
+ * @returns {Promise<Object[]>} Items with either a `network`, `all` or `kept` (with the term,
+ * and `redirect` for a kept "redirect" modifier).
+ */
+async function flattenMechanisms(context, mechanisms, mechanisms6) {
+    const items = [];
+
+    for (let i = 0; i < mechanisms.length; i++) {
+        const mechanism = mechanisms[i];
+        const mechanism6 = mechanisms6[i];
+        const qualifier = mechanism.prefix;
+
+        // A kept "redirect" modifier still ends the record.
+        const keep = reason => {
+            items.push({ kept: true, redirect: mechanism.type === 'redirect', qualifier, term: mechanism.term, domain: mechanism.hostname, reason });
+        };
+
+        if (_.includes(mechanism.value, '%')) {
+            keep('Depends on the message');
+            continue;
+        }
+
+        // Failures of includes and lookups only affect their branch, so the
+        // term is kept.
+        try {
+            switch (mechanism.type) {
+                case 'ip4':
+                case 'ip6':
+                case 'a':
+                case 'mx':
+                    _.forEach(await mechanismNetworks(mechanism, mechanism6), network => items.push({ qualifier, network }));
+                    break;
+
+                case 'include': {
+                    const included = await flattenMechanisms(context, (await mechanism.resolve()).includes, (await mechanism6.resolve()).includes);
+                    const networks = includedNetworks(included);
+
+                    if (_.isString(networks)) {
+                        keep(networks);
+                    } else {
+                        _.forEach(networks, network => items.push({ qualifier, network }));
+                    }
+                    break;
+                }
+
+                case 'exists':
+                    keep('Depends on the lookup of "' + mechanism.value + '"');
+                    break;
+
+                case 'ptr':
+                    keep('Depends on the reverse lookup of the client address');
+                    break;
+
+                case 'redirect': {
+                    // The target record is only evaluated when nothing else
+                    // matched, so its items follow the ones of the record.
+                    const redirected = await flattenMechanisms(context, (await mechanism.resolve()).mechanisms, (await mechanism6.resolve()).mechanisms);
+                    const kept = _.find(redirected, 'kept');
+
+                    // Kept terms would no longer be evaluated with the target as
+                    // their domain, like includes, so the modifier is kept.
+                    if (kept) {
+                        keep('Redirects to "' + kept.term + '" of "' + kept.domain + '" that cannot be flattened');
+                    } else {
+                        items.push(...redirected);
+                    }
+                    break;
+                }
+
+                case 'all':
+                    items.push({ qualifier, all: true });
+                    break;
+            }
+        } catch (err) {
+            keep(branchError(err));
+        }
+    }
+
+    return items;
+}
+
+/**
+ * Returns the networks for which an included record results in "Pass", or
+ * why they cannot be told when it is the case.
+ *
+ * @param {Object[]} items - Flattened items of the included record.
+ * @returns {Object[]|string}
+ */
+function includedNetworks(items) {
+    const networks = [];
+
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+
+        if (item.kept) {
+            return 'Includes "' + item.term + '" of "' + item.domain + '" that cannot be flattened';
+        }
+
+        if (item.qualifier !== '+') {
+            if (item.all) {
+                break;
+            }
+
+            // Other results of the included record do not match, so such
+            // networks can be dropped, unless they hide later ones.
+            const hidden = _.find(_.slice(items, i + 1), other => other.qualifier === '+' && (other.all || (other.network && cidr.overlaps(item.network, other.network))));
+
+            if (hidden) {
+                return 'Has "' + cidr.format(item.network, item.qualifier) + '" before networks it overlaps';
+            }
+
+            continue;
+        }
+
+        if (item.all) {
+            return _.concat(networks, anyNetworks);
+        }
+
+        networks.push(item.network);
+    }
+
+    return networks;
+}
+
+/**
+ * Returns terms of flattened items, merging networks of consecutive items
+ * with the same qualifier.
+ *
+ * @param {Object[]} items
+ * @returns {{ qualifier: string, term: string }[]}
+ */
+function toTerms(items) {
+    const terms = [];
+    let run = [];
+
+    const flush = () => {
+        if (run.length > 0) {
+            const qualifier = run[0].qualifier;
+
+            _.forEach(cidr.merge(_.map(run, 'network')), network => {
+                terms.push({ qualifier, term: cidr.format(network, qualifier) });
+            });
+
+            run = [];
+        }
+    };
+
+    _.forEach(items, item => {
+        if (item.kept) {
+            flush();
+            terms.push({ qualifier: item.qualifier, term: item.term, kept: true });
+            return;
+        }
+
+        if (run.length > 0 && run[0].qualifier !== item.qualifier) {
+            flush();
+        }
+
+        run.push(item);
+    });
+
+    flush();
+
+    return terms;
+}
+
+/**
+ * Splits terms into the record of the domain and as many chained records as
+ * needed to fit the size limits.
+ *
+ * @param {Object} context
+ * @param {{ qualifier: string, term: string, kept?: boolean }[]} terms
+ * @param {string[]} tail - Terms that end the record of the domain.
+ * @param {FlattenOptions} options
+ * @returns {FlattenRecord[]}
+ */
+function buildRecords(context, terms, tail, options) {
+    const records = [];
+    let remaining = terms;
+
+    const length = values => Buffer.byteLength(_.join(_.concat('v=spf1', values), ' '));
+
+    do {
+        const index = records.length;
+        const name = index === 0 ? context.domain : options.prefix + index + '.' + context.domain;
+        const next = 'include:' + options.prefix + (index + 1) + '.' + context.domain;
+        const end = index === 0 ? tail : [];
+
+        let taken;
+        let values;
+
+        if (length(_.concat(_.map(remaining, 'term'), end)) <= options.maxLength) {
+            taken = remaining;
+            values = _.map(taken, 'term');
+        } else {
+            let count = 0;
+
+            while (count < remaining.length && length(_.concat(_.map(_.take(remaining, count + 1), 'term'), next, end)) <= options.maxLength) {
+                count++;
+            }
+
+            if (count === 0) {
+                throw new Error('Term "' + remaining[0].term + '" does not fit in a record of ' + options.maxLength + ' bytes');
+            }
+
+            taken = _.take(remaining, count);
+            values = _.concat(_.map(taken, 'term'), next);
+        }
+
+        remaining = _.drop(remaining, taken.length);
+
+        if (index > 0) {
+            // Chained records are included, so only their "Pass" results
+            // apply, and macros expand with their own name.
+            _.forEach(taken, term => {
+                if (term.kept || term.qualifier !== '+') {
+                    context.warnings.push('Term "' + term.term + '" moved to "' + name + '" where it no longer applies the same way');
+                }
+            });
+        }
+
+        values = _.concat(values, end);
+
+        records.push({ name, value: _.join(_.concat('v=spf1', values), ' '), strings: split(values) });
+    } while (remaining.length > 0);
+
+    return records;
+}
+
+/**
+ * Splits a record into strings of at most 255 characters, between terms.
+ *
+ * @param {string[]} values - Terms of the record.
+ * @returns {string[]}
+ */
+function split(values) {
+    const strings = ['v=spf1'];
+
+    _.forEach(values, value => {
+        const last = strings.length - 1;
+
+        if (strings[last].length + 1 + value.length > 255) {
+            strings.push(' ' + value);
+        } else {
+            strings[last] += ' ' + value;
+        }
+    });
+
+    return strings;
+}
+
+module.exports = flatten;
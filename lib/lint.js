@@ -0,0 +1,419 @@
+'use strict';
+
+const ipaddr = require('ipaddr.js');
+const _ = require('lodash');
+
+const cidr = require('./cidr');
+const parseRecord = require('./record');
+
+/** Size in bytes above which a record has to be split in many strings. */
+const maxStringLength = 255;
+
+/** Size in bytes above which a record may not fit in a DNS answer over UDP,
+ *  see RFC 7208 section 3.4. */
+const maxRecordLength = 450;
+
+/**
+ * @typedef {Object} LintFinding
+ * @property {string} code - Stable code of the finding, like "LOOKUP_LIMIT".
+ * @property {string} severity - "error", "warning" or "info".
+ * @property {string} domain - Domain of the record the finding is about.
+ * @property {string} [term] - Term the finding is about, if any.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} LintNode
+ * @property {string} domain - Domain of the record.
+ * @property {string} [term] - "include" or "redirect" term leading to the record, none for the root.
+ * @property {string} [record] - SPF record fetched, if any.
+ * @property {number} lookups - DNS lookups counted for this branch, including the term leading to it.
+ * @property {number} voidLookups - Void lookups of this branch.
+ * @property {LintNode[]} children - Records of the "include" and "redirect" terms.
+ */
+
+/**
+ * @typedef {Object} LintReport
+ * @property {string} domain - Domain linted.
+ * @property {boolean} valid - Whether there are no findings with the "error" severity.
+ * @property {{ total: number, limit: number }} lookups - DNS lookups of the whole tree.
+ * @property {{ total: number, limit: number }} voidLookups - Void lookups of the whole tree.
+ * @property {LintFinding[]} findings
+ * @property {LintNode} tree
+ */
+
+/**
+ * Walks the whole include/redirect tree of a domain and reports the problems
+ * found in its records. Unlike a check, it does not stop at the first error.
+ *
+ * @param {string} domain
+ * @param {import('../index').SPFOptions} [options] - Options like `resolver`,
+ * `cache`, `maxDNS` and `maxVoidLookups` are used as for a check.
+ * @returns {Promise<LintReport>}
+ */
+async function lint(domain, options) {
+    const spf = new SPF(domain, options);
+    const context = { spf, findings: [], includes: {}, ranges: [] };
+
+    const tree = await lintRecord(context, _.toLower(domain), undefined, []);
+
+    if (tree.lookups > spf.options.maxDNS) {
+        addFinding(context, 'LOOKUP_LIMIT', 'error', tree.domain, 'Records need ' + tree.lookups + ' DNS lookups, more than the limit of ' + spf.options.maxDNS);
+    }
+
+    if (tree.voidLookups > spf.options.maxVoidLookups) {
+        addFinding(context, 'VOID_LOOKUP_LIMIT', 'error', tree.domain, 'Records cause ' + tree.voidLookups + ' void lookups, more than the limit of ' + spf.options.maxVoidLookups);
+    }
+
+    lintRanges(context);
+
+    return {
+        domain: tree.domain,
+        valid: !_.some(context.findings, ['severity', 'error']),
+        lookups: { total: tree.lookups, limit: spf.options.maxDNS },
+        voidLookups: { total: tree.voidLookups, limit: spf.options.maxVoidLookups },
+        findings: context.findings,
+        tree,
+    };
+}
+
+/**
+ * @param {Object} context
+ * @param {string} code
+ * @param {string} severity
+ * @param {string} domain
+ * @param {string} message
+ * @param {string} [term]
+ */
+function addFinding(context, code, severity, domain, message, term) {
+    const finding = { code, severity, domain, message };
+
+    if (term) {
+        finding.term = term;
+    }
+
+    context.findings.push(finding);
+}
+
+/**
+ * Lints the record of a domain and the records it leads to.
+ *
+ * @param {Object} context
+ * @param {string} domain
+ * @param {string} [term] - "include" or "redirect" term leading to the record.
+ * @param {string[]} chain - Domains of the records leading to this one.
+ * @returns {Promise<LintNode>}
+ */
+async function lintRecord(context, domain, term, chain) {
+    const spf = context.spf;
+    const node = { domain, term, record: undefined, lookups: term ? 1 : 0, voidLookups: 0, children: [] };
+
+    let answers;
+    try {
+        answers = await spf.resolveDNS(domain, 'TXT', /*lookupLimit=*/false);
+    } catch (err) {
+        if (err.result !== SPFResults.None) {
+            addFinding(context, 'DNS_ERROR', 'warning', domain, 'Records could not be fetched: ' + err.message, term);
+
+            return node;
+        }
+
+        if (term) {
+            addVoidLookup(context, node, domain, term);
+        }
+
+        answers = [];
+    }
+
+    // Records are recognized as by checks.
+    const records = _.filter(answers, record => spf.isRecord(record));
+
+    if (records.length === 0) {
+        let message = term ? 'Domain of "' + term + '" has no SPF record' : 'Domain has no SPF record';
+
+        if (_.some(answers, record => _.trim(record) === 'v=spf' + spf.options.version)) {
+            message += ', its record without terms is not taken as one';
+        }
+
+        addFinding(context, 'NO_RECORD', 'error', domain, message, term);
+
+        return node;
+    }
+
+    if (records.length > 1) {
+        addFinding(context, 'MULTIPLE_RECORDS', 'error', domain, 'Domain has ' + records.length + ' SPF records instead of one');
+
+        return node;
+    }
+
+    const record = node.record = records[0];
+    const length = Buffer.byteLength(record);
+
+    if (spf.options.spfRecords !== 'txt-only' && _.isFunction(spf.options.resolver.resolveSpf) && !spf.suppliedRecords.has(domain)) {
+        await lintTypedRecords(context, domain, record);
+    }
+
+    if (length > maxRecordLength) {
+        addFinding(context, 'RECORD_TOO_LONG', 'warning', domain, 'Record is ' + length + ' bytes long, answers over ' + maxRecordLength + ' bytes may not fit in a UDP packet');
+    } else if (length > maxStringLength) {
+        addFinding(context, 'LONG_RECORD', 'info', domain, 'Record is ' + length + ' bytes long and has to be split in many strings');
+    }
+
+    if (/[^\x00-\x7f]/.test(record)) {
+        addFinding(context, 'NON_ASCII', 'error', domain, 'Character content of the record should be encoded as US-ASCII');
+
+        return node;
+    }
+
+    const parsed = parseRecord(record);
+
+    _.forEach(_.filter(parsed.messages, ['type', 'error']), message => {
+        addFinding(context, 'SYNTAX_ERROR', 'error', domain, message.message);
+    });
+
+    // Terms with syntax errors have no type.
+    const mechanisms = _.filter(parsed.mechanisms, 'type');
+    const all = _.find(mechanisms, ['type', 'all']);
+    const redirect = _.find(mechanisms, ['type', 'redirect']);
+
+    chain = _.concat(chain, domain);
+
+    for (const mechanism of mechanisms) {
+        if (all && _.indexOf(mechanisms, mechanism) > _.indexOf(mechanisms, all) && mechanism.type !== 'redirect' && mechanism.type !== 'exp') {
+            addFinding(context, 'UNREACHABLE_TERM', 'warning', domain, 'Mechanism "' + mechanism.term + '" comes after "all" and is never evaluated', mechanism.term);
+
+            continue;
+        }
+
+        switch (mechanism.type) {
+            case 'all':
+                if (mechanism.prefix === '+') {
+                    addFinding(context, 'PASS_ALL', 'error', domain, 'Mechanism "' + mechanism.term + '" allows any host to send mail', mechanism.term);
+                } else if (mechanism.prefix === '?') {
+                    addFinding(context, 'NEUTRAL_ALL', 'warning', domain, 'Mechanism "' + mechanism.term + '" makes no assertion about hosts not listed', mechanism.term);
+                }
+                break;
+
+            case 'redirect':
+                if (all) {
+                    addFinding(context, 'IGNORED_REDIRECT', 'warning', domain, 'Modifier "' + mechanism.term + '" has no effect as there is an "all" mechanism', mechanism.term);
+                }
+                break;
+
+            case 'ip4':
+            case 'ip6':
+                addRange(context, domain, mechanism);
+                break;
+
+            case 'a':
+            case 'mx':
+            case 'exists':
+                node.lookups++;
+                await lintLookup(context, node, mechanism);
+                break;
+
+            case 'ptr':
+                node.lookups++;
+                addFinding(context, 'DEPRECATED_PTR', 'warning', domain, 'Mechanism "ptr" is deprecated and should not be used', mechanism.term);
+                break;
+
+            case 'include':
+                await lintChild(context, node, mechanism, chain);
+                break;
+        }
+    }
+
+    if (redirect && !all) {
+        // The "redirect" modifier is only evaluated after all mechanisms.
+        await lintChild(context, node, redirect, chain);
+    }
+
+    // Records fetched through "include" do not need an "all" mechanism as
+    // no match there just means to go on with the including record.
+    if (!all && !redirect && !/^[+\-~?]?include:/i.test(term || '')) {
+        addFinding(context, 'MISSING_ALL', 'warning', domain, 'Record has no "all" mechanism nor "redirect" modifier, hosts not listed get a "Neutral" result');
+    }
+
+    return node;
+}
+
+/**
+ * Compares the SPF (type 99) records of a domain with its TXT record, as
+ * checks do with the `spfRecords` option.
+ *
+ * @param {Object} context
+ * @param {string} domain
+ * @param {string} record - SPF record of the TXT records.
+ */
+async function lintTypedRecords(context, domain, record) {
+    let typed;
+    try {
+        typed = _.filter(await context.spf.resolveDNS(domain, 'SPF', /*lookupLimit=*/false), answer => context.spf.isRecord(answer));
+    } catch (err) {
+        addFinding(context, 'DNS_ERROR', 'warning', domain, 'SPF (type 99) records could not be fetched: ' + err.message);
+
+        return;
+    }
+
+    if (typed.length > 0 && !_.isEqual(typed, [record])) {
+        addFinding(context, 'SPF_TYPE_MISMATCH', 'warning', domain, 'SPF (type 99) record differs from the TXT record');
+    }
+}
+
+/**
+ * Lints the record of an "include" or "redirect" term.
+ *
+ * @param {Object} context
+ * @param {LintNode} node - Node of the record with the term.
+ * @param {Object} mechanism
+ * @param {string[]} chain
+ */
+async function lintChild(context, node, mechanism, chain) {
+    const target = _.toLower(_.trimEnd(mechanism.value, '.'));
+
+    if (_.includes(target, '%')) {
+        node.lookups++;
+        addFinding(context, 'UNRESOLVED_MACRO', 'info', node.domain, 'Record of "' + mechanism.term + '" depends on the message and was not checked', mechanism.term);
+
+        return;
+    }
+
+    let child;
+
+    if (mechanism.type === 'include' && _.has(context.includes, target)) {
+        addFinding(context, 'DUPLICATE_INCLUDE', 'warning', node.domain, 'Domain "' + target + '" is included more than once', mechanism.term);
+
+        // Lookups are still done again, but findings of the record have
+        // already been reported.
+        child = _.assign({}, context.includes[target], { term: mechanism.term });
+    } else if (_.includes(chain, target)) {
+        const loop = _.concat(_.slice(chain, _.indexOf(chain, target)), target);
+
+        addFinding(context, 'INCLUDE_LOOP', 'error', node.domain, 'Record leads back to itself through ' + _.join(loop, ' -> '), mechanism.term);
+
+        // Stop here, the record has already been linted.
+        child = { domain: target, term: mechanism.term, record: undefined, lookups: 1, voidLookups: 0, children: [] };
+    } else {
+        child = await lintRecord(context, target, mechanism.term, chain);
+    }
+
+    if (mechanism.type === 'include') {
+        context.includes[target] = context.includes[target] || child;
+    }
+
+    node.children.push(child);
+    node.lookups += child.lookups;
+    node.voidLookups += child.voidLookups;
+}
+
+/**
+ * Does the lookup of an "a", "mx" or "exists" mechanism to find void
+ * lookups, when it does not depend on the message.
+ *
+ * @param {Object} context
+ * @param {LintNode} node
+ * @param {Object} mechanism
+ */
+async function lintLookup(context, node, mechanism) {
+    const spf = context.spf;
+    const domainSpec = mechanism.type === 'exists' ? mechanism.value : /^(.*?)(?:\/\d+)?(?:\/\/\d+)?$/.exec(mechanism.value || '')[1];
+    const target = domainSpec ? _.toLower(_.trimEnd(domainSpec, '.')) : node.domain;
+
+    if (_.includes(target, '%')) {
+        addFinding(context, 'UNRESOLVED_MACRO', 'info', node.domain, 'Lookup of "' + mechanism.term + '" depends on the message and was not checked', mechanism.term);
+
+        return;
+    }
+
+    let records;
+    try {
+        if (mechanism.type === 'mx') {
+            records = await spf.resolveDNS(target, 'MX', /*lookupLimit=*/false);
+
+            if (records.length > spf.options.maxMXNames) {
+                addFinding(context, 'MX_LIMIT', 'error', node.domain, 'Domain "' + target + '" has ' + records.length + ' MX names, more than the limit of ' + spf.options.maxMXNames, mechanism.term);
+            }
+        } else if (mechanism.type === 'exists') {
+            records = await spf.resolveDNS(target, 'A', /*lookupLimit=*/false);
+        } else {
+            // Either address type may be looked up depending on the client.
+            records = _.concat(await spf.resolveDNS(target, 'A', /*lookupLimit=*/false), await spf.resolveDNS(target, 'AAAA', /*lookupLimit=*/false));
+        }
+    } catch (err) {
+        addFinding(context, 'DNS_ERROR', 'warning', node.domain, 'Lookup of "' + mechanism.term + '" failed: ' + err.message, mechanism.term);
+
+        return;
+    }
+
+    if (records.length === 0) {
+        addVoidLookup(context, node, target, mechanism.term, node.domain);
+    }
+}
+
+/**
+ * @param {Object} context
+ * @param {LintNode} node - Node of the branch the lookup counts for.
+ * @param {string} target - Name looked up.
+ * @param {string} term
+ * @param {string} [domain] - Domain of the record with the term, if not the target.
+ */
+function addVoidLookup(context, node, target, term, domain) {
+    node.voidLookups++;
+
+    addFinding(context, 'VOID_LOOKUP', 'warning', domain || target, 'Lookup of "' + target + '" for "' + term + '" returns no answers', term);
+}
+
+/**
+ * @param {Object} context
+ * @param {string} domain
+ * @param {Object} mechanism - "ip4" or "ip6" mechanism.
+ */
+function addRange(context, domain, mechanism) {
+    const value = _.includes(mechanism.value, '/') ? mechanism.value : mechanism.value + (mechanism.type === 'ip4' ? '/32' : '/128');
+
+    let range;
+    try {
+        range = ipaddr.parseCIDR(value);
+    } catch (err) {
+        addFinding(context, 'SYNTAX_ERROR', 'error', domain, 'Malformed "' + mechanism.type + '" address', mechanism.term);
+
+        return;
+    }
+
+    context.ranges.push({ domain, term: mechanism.term, qualifier: mechanism.prefix, network: { addr: range[0], bits: range[1] } });
+}
+
+/**
+ * Reports ranges covered by other ranges of the tree. Ranges covered by a
+ * range with the same qualifier are redundant, others overlap.
+ *
+ * @param {Object} context
+ */
+function lintRanges(context) {
+    _.forEach(context.ranges, (entry, i) => {
+        _.forEach(context.ranges, (other, j) => {
+            // CIDR ranges either contain each other or do not overlap at all.
+            if (i === j || !cidr.contains(other.network, entry.network)) {
+                return;
+            }
+
+            // Identical ranges are only reported once, on the later one.
+            if (other.network.bits === entry.network.bits && j > i) {
+                return;
+            }
+
+            const where = other.domain === entry.domain ? '' : ' of "' + other.domain + '"';
+
+            if (other.qualifier === entry.qualifier) {
+                addFinding(context, 'REDUNDANT_RANGE', 'warning', entry.domain, 'Mechanism "' + entry.term + '" is already covered by "' + other.term + '"' + where, entry.term);
+            } else {
+                addFinding(context, 'OVERLAPPING_RANGE', 'info', entry.domain, 'Mechanism "' + entry.term + '" overlaps with "' + other.term + '"' + where, entry.term);
+            }
+        });
+    });
+}
+
+module.exports = lint;
+
+// Required last as the main module requires this one.
+const { SPF, SPFResults } = require('../index');
@@ -0,0 +1,137 @@
+'use strict';
+
+const _ = require('lodash');
+
+const { anyNetworks, resolveTree, mechanismNetworks, branchError } = require('./resolve');
+
+/**
+ * @typedef {Object} AuthorizedNetwork
+ * @property {string} network - Network in CIDR notation, like "192.0.2.0/24".
+ * @property {string} kind - "ipv4" or "ipv6".
+ * @property {number} bits - CIDR length of the network.
+ * @property {string} qualifier - Qualifier of the term, "+", "-", "~" or "?".
+ * @property {string} term - Term the network comes from, like "mx" or "ip4:192.0.2.0/24".
+ * @property {string} domain - Domain of the record with the term.
+ * @property {string[]} chain - Domains from the domain enumerated to `domain`,
+ * through "include" and "redirect" terms.
+ */
+
+/**
+ * @typedef {Object} UnresolvedTerm
+ * @property {string} term - Term that cannot be enumerated.
+ * @property {string} domain - Domain of the record with the term.
+ * @property {string[]} chain - Domains from the domain enumerated to `domain`.
+ * @property {string} reason
+ */
+
+/**
+ * @typedef {Object} NetworksResult
+ * @property {string} domain
+ * @property {AuthorizedNetwork[]} networks - Networks in the order of the terms.
+ * @property {UnresolvedTerm[]} unresolved - Terms whose networks cannot be told.
+ */
+
+/**
+ * Lists the networks of every "ip4", "ip6", "a", "mx" and "all" term of the
+ * records of a domain, following includes and redirects. Terms of included
+ * records are listed with their own qualifier, while only their "Pass"
+ * results make the include match. Lookup limits do not apply.
+ *
+ * @param {string} domain
+ * @param {import('../index').SPFOptions} [options]
+ * @returns {Promise<NetworksResult>}
+ */
+async function networks(domain, options) {
+    const result = { domain: _.toLower(domain), networks: [], unresolved: [] };
+    const { mechanisms, mechanisms6 } = await resolveTree(domain, options);
+
+    await walk(result, mechanisms, mechanisms6, [result.domain]);
+
+    return result;
+}
+
+/**
+ * Adds the networks of resolved mechanisms to the result.
+ *
+ * @param {NetworksResult} result
+ * @param {Object[]} mechanisms - Mechanisms resolved for IPv4 clients.
+ * @param {Object[]} mechanisms6 - Same mechanisms resolved for IPv6 clients.
+ * @param {string[]} chain - Domains leading to the record of the mechanisms.
+ * @returns {Promise<void>}
+ */
+async function walk(result, mechanisms, mechanisms6, chain) {
+    for (let i = 0; i < mechanisms.length; i++) {
+        const mechanism = mechanisms[i];
+        const mechanism6 = mechanisms6[i];
+
+        if (mechanism.type === 'version') {
+            continue;
+        }
+
+        const add = entries => {
+            _.forEach(entries, entry => {
+                result.networks.push({
+                    network: entry.addr.toString() + '/' + entry.bits,
+                    kind: entry.addr.kind(),
+                    bits: entry.bits,
+                    qualifier: mechanism.prefix,
+                    term: mechanism.term,
+                    domain: mechanism.hostname,
+                    chain,
+                });
+            });
+        };
+
+        const skip = reason => {
+            result.unresolved.push({ term: mechanism.term, domain: mechanism.hostname, chain, reason });
+        };
+
+        if (_.includes(mechanism.value, '%')) {
+            skip('Depends on the message');
+            continue;
+        }
+
+        try {
+            switch (mechanism.type) {
+                case 'ip4':
+                case 'ip6':
+                case 'a':
+                case 'mx':
+                    add(await mechanismNetworks(mechanism, mechanism6));
+                    break;
+
+                case 'include': {
+                    const includes = (await mechanism.resolve()).includes;
+                    const includes6 = (await mechanism6.resolve()).includes;
+
+                    await walk(result, includes, includes6, _.concat(chain, includes[0].hostname));
+                    break;
+                }
+
+                case 'redirect': {
+                    const redirected = (await mechanism.resolve()).mechanisms;
+                    const redirected6 = (await mechanism6.resolve()).mechanisms;
+
+                    await walk(result, redirected, redirected6, _.concat(chain, redirected[0].hostname));
+                    break;
+                }
+
+                case 'exists':
+                    skip('Depends on the lookup of "' + mechanism.value + '"');
+                    break;
+
+                case 'ptr':
+                    skip('Depends on the reverse lookup of the client address');
+                    break;
+
+                case 'all':
+                    add(anyNetworks);
+                    break;
+            }
+        } catch (err) {
+            skip(branchError(err));
+        }
+    }
+}
+
+module.exports = networks;
@@ -0,0 +1,62 @@
+'use strict';
+
+const spfParse = require('spf-parse');
+const _ = require('lodash');
+
+/**
+ * Parses a record with `spf-parse`, accepting macro-strings where it only
+ * accepts host names (e.g. "a:%{d}").
+ *
+ * @param {string} record
+ * @returns {Object}
+ */
+function parseRecord(record) {
+    const parsed = spfParse(record);
+    const terms = _.split(_.trim(record), /\s+/);
+
+    // Each term produces one mechanism, even when it is not valid, so they
+    // can be matched by position.
+    if (parsed.mechanisms.length !== terms.length) {
+        return parsed;
+    }
+
+    _.forEach(parsed.mechanisms, (mechanism, i) => {
+        mechanism.term = terms[i];
+
+        // Dual CIDR lengths with no domain, like "a//64" or "mx/24//64".
+        const cidr = /^[+\-~?]?(a|mx)((?:\/\d+)?\/\/\d+)$/i.exec(terms[i]);
+
+        if (cidr && !mechanism.type) {
+            const index = _.findIndex(parsed.messages, ['message', 'Unknown standalone term \'' + _.trimStart(terms[i], '+-~?') + '\'']);
+
+            if (index !== -1) {
+                mechanism.type = _.toLower(cidr[1]);
+                mechanism.value = cidr[2];
+                _.pullAt(parsed.messages, index);
+            }
+
+            return;
+        }
+
+        const value = _.get(/^[+\-~?]?[a-z]+[:=](.+)$/i.exec(terms[i]), 1);
+
+        if (!mechanism.type || !_.isUndefined(mechanism.value) || !_.includes(value, '%')) {
+            return;
+        }
+
+        const index = _.findIndex(parsed.messages, ['message', 'Invalid domain for the \'' + mechanism.type + '\' mechanism: \'' + value + '\'']);
+
+        if (index !== -1 && /^(?:%\{[a-z]\d*r?[-.+,/_=]*\}|%[%_-]|[\x21-\x24\x26-\x7e])+$/i.test(value)) {
+            mechanism.value = value;
+            _.pullAt(parsed.messages, index);
+        }
+    });
+
+    if (_.has(parsed, 'messages') && _.isEmpty(parsed.messages)) {
+        delete parsed.messages;
+    }
+
+    return parsed;
+}
+
+module.exports = parseRecord;
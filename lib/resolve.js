@@ -0,0 +1,109 @@
+'use strict';
+
+const ipaddr = require('ipaddr.js');
+const _ = require('lodash');
+
+const DNSCache = require('./cache');
+const cidr = require('./cidr');
+
+/** Networks matching any address, those of "all" mechanisms. */
+const anyNetworks = [
+    { addr: ipaddr.parse('0.0.0.0'), bits: 0 },
+    { addr: ipaddr.parse('::'), bits: 0 },
+];
+
+/**
+ * @typedef {Object} ResolvedTree
+ * @property {Object[]} mechanisms - Mechanisms of the record resolved for IPv4 clients.
+ * @property {Object[]} mechanisms6 - Same mechanisms resolved for IPv6 clients, that
+ * only differ by the addresses of "a" and "mx" mechanisms.
+ */
+
+/**
+ * Resolves the record of a domain for both address types, to walk the whole
+ * tree of its includes and redirects. Lookup limits do not apply, and records
+ * are only fetched once for both address types.
+ *
+ * @param {string} domain
+ * @param {import('../index').SPFOptions} [options]
+ * @returns {Promise<ResolvedTree>}
+ */
+async function resolveTree(domain, options) {
+    const spfOptions = {
+        ...options,
+        maxDNS: Infinity,
+        maxVoidLookups: Infinity,
+        prefetch: false,
+        trace: false,
+        cache: _.get(options, 'cache') || new DNSCache(),
+    };
+
+    return {
+        mechanisms: await new SPF(domain, spfOptions).getMechanisms('A'),
+        mechanisms6: await new SPF(domain, spfOptions).getMechanisms('AAAA'),
+    };
+}
+
+/**
+ * Returns the networks of an "ip4", "ip6", "a" or "mx" mechanism, with the
+ * addresses of both address types for "a" and "mx".
+ *
+ * @param {Object} mechanism - Mechanism resolved for IPv4 clients.
+ * @param {Object} mechanism6 - Same mechanism resolved for IPv6 clients.
+ * @returns {Promise<import('./cidr').Network[]|undefined>} Nothing for other mechanisms.
+ */
+async function mechanismNetworks(mechanism, mechanism6) {
+    switch (mechanism.type) {
+        case 'ip4':
+        case 'ip6':
+            return [cidr.network(mechanism.address[0], mechanism.address[1])];
+
+        case 'a': {
+            const records = _.concat((await mechanism.resolve()).records, (await mechanism6.resolve()).records);
+
+            return addressNetworks(records, mechanism.cidr);
+        }
+
+        case 'mx': {
+            const exchanges = _.concat((await mechanism.resolve()).exchanges, (await mechanism6.resolve()).exchanges);
+
+            return addressNetworks(_.flatMap(exchanges, 'records'), mechanism.cidr);
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * @param {string[]} records - Addresses.
+ * @param {{ ipv4: number, ipv6: number }} lengths - CIDR lengths.
+ * @returns {import('./cidr').Network[]}
+ */
+function addressNetworks(records, lengths) {
+    return _.map(records, record => {
+        const addr = ipaddr.parse(record);
+
+        return cidr.network(addr, lengths[addr.kind()]);
+    });
+}
+
+/**
+ * Returns why a term of the tree could not be resolved, as failures of
+ * includes and lookups only affect their branch. Errors other than SPF
+ * results are thrown again.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+function branchError(err) {
+    if (!err.result) {
+        throw err;
+    }
+
+    return err.result + ': ' + err.message;
+}
+
+module.exports = { anyNetworks, resolveTree, mechanismNetworks, branchError };
+
+// Required last as the main module requires this one.
+const { SPF } = require('../index');
@@ -0,0 +1,238 @@
+'use strict';
+
+const _ = require('lodash');
+
+const cidr = require('./cidr');
+const { resolveTree, mechanismNetworks, branchError } = require('./resolve');
+
+/** Mechanism types and modifiers counting toward the DNS lookups limit. */
+const lookupTypes = ['a', 'mx', 'ptr', 'exists', 'include', 'redirect'];
+
+/**
+ * @typedef {Object} SnapshotTerm
+ * @property {string} term - Term as written in the record.
+ * @property {string[]} [networks] - Sorted networks of "ip4", "ip6", "a" and "mx" terms,
+ * like "192.0.2.0/24".
+ * @property {SnapshotRecord} [target] - Record of "include" and "redirect" terms.
+ * @property {string} [error] - Why the term could not be resolved, if so.
+ */
+
+/**
+ * @typedef {Object} SnapshotRecord
+ * @property {string} domain
+ * @property {string} record - SPF record as fetched.
+ * @property {SnapshotTerm[]} terms - Terms evaluated, in the order of the record.
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} domain
+ * @property {string|null} all - "all" term that applies to the domain, following redirects.
+ * @property {number} lookups - DNS lookups of the whole tree.
+ * @property {string[]} includes - Sorted domains included anywhere in the tree.
+ * @property {{ network: string, qualifier: string }[]} networks - Sorted networks of
+ * the whole tree with the qualifier of their term.
+ * @property {SnapshotRecord} tree
+ */
+
+/**
+ * @typedef {Object} SnapshotDiff
+ * @property {boolean} changed - Whether there is any difference below.
+ * @property {{ added: string[], removed: string[] }} includes
+ * @property {{ added: string[], removed: string[] }} networks
+ * @property {{ domain: string, term: string, from: string, to: string }[]} qualifiers -
+ * Terms of the same record whose qualifier changed, written without qualifier.
+ * @property {{ from: string|null, to: string|null }|null} all
+ * @property {{ from: number, to: number }|null} lookups
+ */
+
+/**
+ * Resolves the whole policy of a domain into a snapshot that only depends on
+ * the published records, so snapshots taken at different times can be
+ * stored and compared with `diff()`. Lookup limits do not apply.
+ *
+ * @param {string} domain
+ * @param {import('../index').SPFOptions} [options]
+ * @returns {Promise<Snapshot>}
+ */
+async function snapshot(domain, options) {
+    const context = { lookups: 0, includes: [], networks: [] };
+    const { mechanisms, mechanisms6 } = await resolveTree(domain, options);
+
+    const tree = await snapshotRecord(context, mechanisms, mechanisms6);
+
+    const networks = _.uniqWith(context.networks.sort((a, b) => cidr.compare(a.network, b.network) || compareStrings(a.qualifier, b.qualifier)), _.isEqual);
+
+    return {
+        domain: _.toLower(domain),
+        all: effectiveAll(tree),
+        lookups: context.lookups,
+        includes: _.sortBy(_.uniq(context.includes)),
+        networks: _.map(networks, entry => ({ network: formatNetwork(entry.network), qualifier: entry.qualifier })),
+        tree,
+    };
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareStrings(a, b) {
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * @param {import('./cidr').Network} entry
+ * @returns {string}
+ */
+function formatNetwork(entry) {
+    return entry.addr.toString() + '/' + entry.bits;
+}
+
+/**
+ * Returns the snapshot of the record of resolved mechanisms.
+ *
+ * @param {Object} context
+ * @param {Object[]} mechanisms - Mechanisms resolved for IPv4 clients, starting with the version.
+ * @param {Object[]} mechanisms6 - Same mechanisms resolved for IPv6 clients.
+ * @returns {Promise<SnapshotRecord>}
+ */
+async function snapshotRecord(context, mechanisms, mechanisms6) {
+    const record = { domain: _.toLower(mechanisms[0].hostname), record: mechanisms[0].record, terms: [] };
+
+    for (let i = 1; i < mechanisms.length; i++) {
+        const mechanism = mechanisms[i];
+        const mechanism6 = mechanisms6[i];
+        const term = { term: mechanism.term };
+
+        record.terms.push(term);
+
+        if (_.includes(lookupTypes, mechanism.type)) {
+            context.lookups++;
+        }
+
+        // Terms depending on the message are kept as they are.
+        if (_.includes(mechanism.value, '%')) {
+            continue;
+        }
+
+        const addNetworks = networks => {
+            networks = _.uniqWith(networks.sort(cidr.compare), _.isEqual);
+
+            term.networks = _.map(networks, formatNetwork);
+
+            _.forEach(networks, network => context.networks.push({ network, qualifier: mechanism.prefix }));
+        };
+
+        try {
+            switch (mechanism.type) {
+                case 'ip4':
+                case 'ip6':
+                case 'a':
+                case 'mx':
+                    addNetworks(await mechanismNetworks(mechanism, mechanism6));
+                    break;
+
+                case 'include':
+                    term.target = await snapshotRecord(context, (await mechanism.resolve()).includes, (await mechanism6.resolve()).includes);
+                    context.includes.push(term.target.domain);
+                    break;
+
+                case 'redirect':
+                    term.target = await snapshotRecord(context, (await mechanism.resolve()).mechanisms, (await mechanism6.resolve()).mechanisms);
+                    break;
+            }
+        } catch (err) {
+            term.error = branchError(err);
+        }
+    }
+
+    return record;
+}
+
+/**
+ * Returns the "all" term applying to a record, which may be the one of the
+ * target of its redirect.
+ *
+ * @param {SnapshotRecord} record
+ * @returns {string|null}
+ */
+function effectiveAll(record) {
+    const all = _.find(record.terms, term => /^[+\-~?]?all$/i.test(term.term));
+
+    if (all) {
+        return all.term;
+    }
+
+    const redirect = _.find(record.terms, term => /^redirect=/i.test(term.term));
+
+    return redirect && redirect.target ? effectiveAll(redirect.target) : null;
+}
+
+/**
+ * Returns the qualifier of each term of a snapshot tree, keyed by the domain
+ * of its record and the term without qualifier.
+ *
+ * @param {SnapshotRecord} record
+ * @param {Object<string, Object>} [qualifiers]
+ * @returns {Object<string, { domain: string, term: string, qualifier: string }>}
+ */
+function termQualifiers(record, qualifiers) {
+    qualifiers = qualifiers || {};
+
+    _.forEach(record.terms, term => {
+        const qualified = /^[+\-~?]/.test(term.term);
+        const bare = qualified ? term.term.slice(1) : term.term;
+
+        qualifiers[record.domain + ' ' + _.toLower(bare)] = { domain: record.domain, term: bare, qualifier: qualified ? term.term[0] : '+' };
+
+        if (term.target) {
+            termQualifiers(term.target, qualifiers);
+        }
+    });
+
+    return qualifiers;
+}
+
+/**
+ * Compares two snapshots of the same domain.
+ *
+ * @param {Snapshot} oldSnapshot
+ * @param {Snapshot} newSnapshot
+ * @returns {SnapshotDiff}
+ */
+function diff(oldSnapshot, newSnapshot) {
+    const changes = (before, after) => ({ added: _.difference(after, before), removed: _.difference(before, after) });
+
+    const oldQualifiers = termQualifiers(oldSnapshot.tree);
+    const newQualifiers = termQualifiers(newSnapshot.tree);
+
+    const qualifiers = [];
+
+    _.forEach(_.sortBy(_.intersection(_.keys(oldQualifiers), _.keys(newQualifiers))), key => {
+        const before = oldQualifiers[key];
+        const after = newQualifiers[key];
+
+        if (before.qualifier !== after.qualifier) {
+            qualifiers.push({ domain: after.domain, term: after.term, from: before.qualifier, to: after.qualifier });
+        }
+    });
+
+    const result = {
+        changed: false,
+        includes: changes(oldSnapshot.includes, newSnapshot.includes),
+        networks: changes(_.uniq(_.map(oldSnapshot.networks, 'network')), _.uniq(_.map(newSnapshot.networks, 'network'))),
+        qualifiers,
+        all: oldSnapshot.all !== newSnapshot.all ? { from: oldSnapshot.all, to: newSnapshot.all } : null,
+        lookups: oldSnapshot.lookups !== newSnapshot.lookups ? { from: oldSnapshot.lookups, to: newSnapshot.lookups } : null,
+    };
+
+    result.changed = !_.isEmpty(result.includes.added) || !_.isEmpty(result.includes.removed)
+        || !_.isEmpty(result.networks.added) || !_.isEmpty(result.networks.removed)
+        || !_.isEmpty(qualifiers) || Boolean(result.all) || Boolean(result.lookups);
+
+    return result;
+}
+
+module.exports = { snapshot, diff };
@@ -0,0 +1,155 @@
+'use strict';
+
+const dns = require('dns');
+
+const ipaddr = require('ipaddr.js');
+const _ = require('lodash');
+
+/**
+ * Records of a name by type, like `{ TXT: ['v=spf1 -all'], A: ['192.0.2.1'] }`.
+ * TXT records are strings, or arrays of the strings of a record. MX records
+ * are `{ exchange, priority }` objects, and PTR records are set on the IP
+ * address they are for or on its "in-addr.arpa" or "ip6.arpa" name. Lookups
+ * of types missing from a name with a CNAME record are done on its target,
+ * and all lookups of a name with `TIMEOUT: true` time out.
+ *
+ * @typedef {Object<string, any>} ZoneEntry
+ */
+
+/** Query names of each resolver method, as used in error messages. */
+const queries = {
+    resolveTxt: 'queryTxt',
+    resolveSpf: 'querySpf',
+    resolve4: 'queryA',
+    resolve6: 'queryAaaa',
+    resolveMx: 'queryMx',
+    reverse: 'getHostByAddr',
+};
+
+/**
+ * Returns the name of the PTR records of an address, like
+ * "1.2.0.192.in-addr.arpa".
+ *
+ * @param {ipaddr.IPv4|ipaddr.IPv6} addr
+ * @returns {string}
+ */
+function reverseName(addr) {
+    if (addr.kind() === 'ipv4') {
+        return _.join(_.reverse(addr.toByteArray()), '.') + '.in-addr.arpa';
+    }
+
+    const nibbles = _.flatMap(addr.toByteArray(), byte => [(byte >> 4).toString(16), (byte & 15).toString(16)]);
+
+    return _.join(_.reverse(nibbles), '.') + '.ip6.arpa';
+}
+
+/**
+ * Resolver answering from a fixture map of records, for checks against
+ * records that are not published. Names missing from the map are looked up
+ * with the fallback resolver, if any, or do not exist.
+ */
+class ZoneResolver {
+    /**
+     * @param {Object<string, ZoneEntry>} zone - Records by name.
+     * @param {import('../index').DNSResolver} [fallback] - Resolver of the names
+     * missing from the zone.
+     */
+    constructor(zone, fallback) {
+        /** @private */
+        this.zone = _.mapKeys(zone, (entry, name) => _.toLower(_.trimEnd(name, '.')));
+
+        /** @private */
+        this.fallback = fallback;
+    }
+
+    /**
+     * @param {string} hostname
+     * @returns {Promise<string[][]>}
+     */
+    async resolveTxt(hostname) {
+        return _.map(await this.lookup('resolveTxt', hostname, 'TXT'), _.castArray);
+    }
+
+    /**
+     * Looks up SPF (type 99) records, set as "SPF" in the zone.
+     *
+     * @param {string} hostname
+     * @returns {Promise<string[][]>}
+     */
+    async resolveSpf(hostname) {
+        return _.map(await this.lookup('resolveSpf', hostname, 'SPF'), _.castArray);
+    }
+
+    /**
+     * @param {string} hostname
+     * @returns {Promise<string[]>}
+     */
+    async resolve4(hostname) {
+        return this.lookup('resolve4', hostname, 'A');
+    }
+
+    /**
+     * @param {string} hostname
+     * @returns {Promise<string[]>}
+     */
+    async resolve6(hostname) {
+        return this.lookup('resolve6', hostname, 'AAAA');
+    }
+
+    /**
+     * @param {string} hostname
+     * @returns {Promise<{exchange: string, priority: number}[]>}
+     */
+    async resolveMx(hostname) {
+        return _.map(await this.lookup('resolveMx', hostname, 'MX'), _.clone);
+    }
+
+    /**
+     * @param {string} ip
+     * @returns {Promise<string[]>}
+     */
+    async reverse(ip) {
+        const name = ipaddr.isValid(ip) ? reverseName(ipaddr.parse(ip)) : ip;
+
+        return this.lookup('reverse', _.has(this.zone, name) ? name : ip, 'PTR');
+    }
+
+    /**
+     * @private
+     * @param {string} method - Resolver method of the lookup.
+     * @param {string} hostname
+     * @param {string} rrtype
+     * @returns {Promise<any[]>}
+     */
+    async lookup(method, hostname, rrtype) {
+        const entry = this.zone[_.toLower(_.trimEnd(hostname, '.'))];
+
+        // Fallback resolvers without the method, like `dns.promises.Resolver`
+        // for SPF records, find nothing.
+        if (!entry && this.fallback && this.fallback[method]) {
+            return this.fallback[method](hostname);
+        }
+
+        const records = entry && entry[rrtype];
+
+        if (_.isEmpty(records) && entry && !_.isEmpty(entry.CNAME) && !entry.TIMEOUT) {
+            return this.lookup(method, _.castArray(entry.CNAME)[0], rrtype);
+        }
+
+        if (_.isEmpty(records) || entry.TIMEOUT) {
+            // Like resolvers, tell names that do not exist from names without
+            // records of the type.
+            const code = entry ? (entry.TIMEOUT ? dns.TIMEOUT : dns.NODATA) : dns.NOTFOUND;
+            const err = new Error(queries[method] + ' ' + code + ' ' + hostname);
+
+            err.code = code;
+            err.hostname = hostname;
+
+            throw err;
+        }
+
+        return _.clone(_.castArray(records));
+    }
+}
+
+module.exports = ZoneResolver;
@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+'use strict';
+
+// Runs a test suite in the format of the pyspf/openspf "rfc7208-tests.yml"
+// and reports which scenarios pass:
+//
+//   yarn conformance path/to/rfc7208-tests.yml [--json]
+
+const fs = require('fs');
+const path = require('path');
+
+const { loadSuite, runSuite, formatReport } = require('./conformanceSuite');
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const file = args.find(arg => arg !== '--json') || path.join(__dirname, '../spec/fixtures/rfc7208-tests.yml');
+
+runSuite(loadSuite(fs.readFileSync(file, 'utf8'))).then(report => {
+    process.stdout.write((json ? JSON.stringify(report, null, 2) : formatReport(report)) + '\n');
+    process.exitCode = report.failed > 0 ? 1 : 0;
+}, err => {
+    process.stderr.write(err.stack + '\n');
+    process.exitCode = 2;
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+const YAML = require('yaml');
+const _ = require('lodash');
+
+const { SPF, ZoneResolver } = require('../index');
+
+/**
+ * Parses a test suite in the format of the pyspf/openspf "rfc7208-tests.yml",
+ * a stream of scenarios with their tests and DNS zone data.
+ *
+ * @param {string} text
+ * @returns {Object[]} Scenarios.
+ */
+function loadSuite(text) {
+    return _.filter(_.map(YAML.parseAllDocuments(text), doc => doc.toJSON()), _.isObject);
+}
+
+/**
+ * Returns the zone of a `ZoneResolver` out of the zone data of a scenario.
+ *
+ * @param {Object<string, any[]>} zonedata
+ * @returns {Object<string, Object>}
+ */
+function loadZone(zonedata) {
+    return _.mapValues(zonedata, records => {
+        const entry = {};
+
+        _.forEach(records, record => {
+            if (record === 'TIMEOUT') {
+                entry.TIMEOUT = true;
+                return;
+            }
+
+            _.forEach(record, (value, rrtype) => {
+                if (rrtype === 'MX') {
+                    value = { priority: value[0], exchange: value[1] };
+                }
+
+                entry[rrtype] = _.concat(entry[rrtype] || [], [value]);
+            });
+        });
+
+        // As in the suite, SPF records of names without TXT records are
+        // published as TXT records too.
+        if (entry.SPF && !entry.TXT) {
+            entry.TXT = entry.SPF;
+        }
+
+        return entry;
+    });
+}
+
+/**
+ * Runs the tests of scenarios with `SPF.check` against their zone data.
+ *
+ * @param {Object[]} scenarios
+ * @param {import('../index').SPFOptions} [options] - Options of the checks.
+ * @returns {Promise<Object>} Report of the tests, by scenario.
+ */
+async function runSuite(scenarios, options) {
+    const report = { passed: 0, failed: 0, scenarios: [] };
+
+    for (const scenario of scenarios) {
+        const resolver = new ZoneResolver(loadZone(scenario.zonedata));
+        const tests = [];
+
+        for (const name of _.keys(scenario.tests)) {
+            const test = scenario.tests[name];
+
+            // Null senders are checked with the HELO domain.
+            const sender = test.mailfrom || '';
+            const domain = sender.slice(sender.lastIndexOf('@') + 1);
+
+            const result = await new SPF(domain, sender, { ...options, helo: test.helo, resolver }).check(test.host);
+
+            const expected = _.map(_.castArray(test.result), _.toLower);
+            const passed = _.includes(expected, _.toLower(result.result))
+                && (_.isUndefined(test.explanation) || test.explanation === result.explanation);
+
+            tests.push({
+                name,
+                spec: test.spec,
+                description: _.trim(test.description),
+                expected,
+                result: _.toLower(result.result),
+                expectedExplanation: test.explanation,
+                explanation: result.explanation,
+                message: result.message,
+                passed,
+            });
+
+            report[passed ? 'passed' : 'failed']++;
+        }
+
+        report.scenarios.push({ description: scenario.description, passed: _.every(tests, 'passed'), tests });
+    }
+
+    return report;
+}
+
+/**
+ * Formats a report as text, listing the tests that fail.
+ *
+ * @param {Object} report
+ * @returns {string}
+ */
+function formatReport(report) {
+    const lines = [];
+
+    _.forEach(report.scenarios, scenario => {
+        const passed = _.filter(scenario.tests, 'passed').length;
+
+        lines.push((scenario.passed ? 'PASS ' : 'FAIL ') + scenario.description + ' (' + passed + '/' + scenario.tests.length + ')');
+
+        _.forEach(_.reject(scenario.tests, 'passed'), test => {
+            let line = '  ' + test.name + ' [' + test.spec + ']: expected ' + _.join(test.expected, ' or ') + ', got ' + test.result;
+
+            if (_.includes(test.expected, test.result)) {
+                line += ' with explanation "' + test.explanation + '" instead of "' + test.expectedExplanation + '"';
+            } else {
+                line += ' (' + test.message + ')';
+            }
+
+            lines.push(line);
+        });
+    });
+
+    lines.push('', report.passed + ' passed, ' + report.failed + ' failed');
+
+    return _.join(lines, '\n');
+}
+
+module.exports = { loadSuite, loadZone, runSuite, formatReport };
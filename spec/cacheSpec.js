@@ -0,0 +1,108 @@
+'use strict';
+
+const spf = require('../index');
+const { createResolver, dnsError } = require('./helpers/resolver');
+
+describe('DNSCache', () => {
+    beforeEach(() => {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(2019, 0, 1));
+    });
+
+    afterEach(() => {
+        jasmine.clock().uninstall();
+    });
+
+    it('shares answers across checks and still counts them toward the limit', async () => {
+        const { resolver, resolve } = createResolver();
+        const cache = new spf.DNSCache();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf.example.com -all' ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 mx -all' ] ]));
+        resolve.withArgs('_spf.example.com', 'MX').and.returnValue(Promise.resolve([ { priority: 10, exchange: 'mx.example.com' } ]));
+        resolve.withArgs('mx.example.com', 'A').and.returnValue(Promise.resolve([ { address: '127.0.0.1', ttl: 60 } ]));
+
+        const first = new spf.SPF('example.com', { resolver, cache });
+        const second = new spf.SPF('example.com', { resolver, cache });
+
+        await expectAsync(first.check('127.0.0.1')).toBeResolvedTo(jasmine.objectContaining({ result: spf.SPFResults.Pass }));
+        await expectAsync(second.check('127.0.0.1')).toBeResolvedTo(jasmine.objectContaining({ result: spf.SPFResults.Pass }));
+
+        expect(resolve).toHaveBeenCalledTimes(4);
+        expect(second.queryDNSCount).toBe(first.queryDNSCount);
+
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver, cache, maxDNS: 2 })).toBeResolvedTo(spf.SPFResults.PermError);
+    });
+
+    it('expires answers after their TTL clamped between min and max', async () => {
+        const { resolver, resolve } = createResolver();
+        const cache = new spf.DNSCache({ minTTL: 30, maxTTL: 600 });
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a a:mail.example.com -all' ] ]));
+        resolve.withArgs('example.com', 'A').and.returnValue(Promise.resolve([ { address: '127.0.0.2', ttl: 1 } ]));
+        resolve.withArgs('mail.example.com', 'A').and.returnValue(Promise.resolve([ { address: '127.0.0.1', ttl: 86400 } ]));
+
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver, cache })).toBeResolvedTo(spf.SPFResults.Pass);
+        expect(resolve).toHaveBeenCalledTimes(3);
+
+        jasmine.clock().tick(29 * 1000);
+        resolve.calls.reset();
+
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver, cache })).toBeResolvedTo(spf.SPFResults.Pass);
+        expect(resolve).toHaveBeenCalledTimes(0);
+
+        jasmine.clock().tick(2 * 1000);
+        resolve.calls.reset();
+
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver, cache })).toBeResolvedTo(spf.SPFResults.Pass);
+        expect(resolve.calls.allArgs()).toEqual([ [ 'example.com', 'A' ] ]);
+
+        jasmine.clock().tick(600 * 1000);
+        resolve.calls.reset();
+
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver, cache })).toBeResolvedTo(spf.SPFResults.Pass);
+        expect(resolve).toHaveBeenCalledTimes(3);
+    });
+
+    it('keeps TXT and MX answers for their TTL when the resolver tells it', async () => {
+        const { resolver, resolve } = createResolver();
+        const cache = new spf.DNSCache({ defaultTTL: 300 });
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ { entries: [ 'v=spf1 ', 'mx -all' ], ttl: 60 } ]));
+        resolve.withArgs('example.com', 'MX').and.returnValue(Promise.resolve([ { priority: 10, exchange: 'mx.example.com', ttl: 3600 } ]));
+        resolve.withArgs('mx.example.com', 'A').and.returnValue(Promise.resolve([ '127.0.0.1' ]));
+
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver, cache })).toBeResolvedTo(spf.SPFResults.Pass);
+        expect(cache.get('MX', 'example.com')).toEqual({ records: [ { priority: 10, exchange: 'mx.example.com' } ] });
+
+        jasmine.clock().tick(61 * 1000);
+        resolve.calls.reset();
+
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver, cache })).toBeResolvedTo(spf.SPFResults.Pass);
+        expect(resolve.calls.allArgs()).toEqual([ [ 'example.com', 'TXT' ] ]);
+
+        // Records with their TTL are also taken without cache.
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
+    });
+
+    it('caches negative answers for a shorter time and never temporary errors', async () => {
+        const { resolver, resolve } = createResolver();
+        const cache = new spf.DNSCache({ negativeTTL: 10 });
+
+        resolve.withArgs('example.com', 'TXT').and.callFake(() => Promise.reject(dnsError('ENODATA', 'example.com')));
+        resolve.withArgs('example.org', 'TXT').and.callFake(() => Promise.reject(dnsError('ESERVFAIL', 'example.org')));
+
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver, cache })).toBeResolvedTo(spf.SPFResults.None);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver, cache })).toBeResolvedTo(spf.SPFResults.None);
+        await expectAsync(spf('127.0.0.1', 'example.org', { resolver, cache })).toBeResolvedTo(spf.SPFResults.TempError);
+        await expectAsync(spf('127.0.0.1', 'example.org', { resolver, cache })).toBeResolvedTo(spf.SPFResults.TempError);
+
+        expect(resolve.calls.allArgs()).toEqual([ [ 'example.com', 'TXT' ], [ 'example.org', 'TXT' ], [ 'example.org', 'TXT' ] ]);
+
+        jasmine.clock().tick(10 * 1000);
+
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver, cache })).toBeResolvedTo(spf.SPFResults.None);
+
+        expect(resolve).toHaveBeenCalledTimes(4);
+    });
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const { run } = require('../lib/cli');
+const { createResolver } = require('./helpers/resolver');
+
+/**
+ * Runs the command line interface, collecting its output.
+ *
+ * @param {string[]} argv
+ * @param {Object} resolver
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+async function cli(argv, resolver) {
+    const output = { stdout: '', stderr: '' };
+
+    output.code = await run(argv, {
+        stdout: { write: data => output.stdout += data },
+        stderr: { write: data => output.stderr += data },
+        resolver,
+    });
+
+    return output;
+}
+
+describe('spf-check command', () => {
+    it('checks a host and exits with the code of the result', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.0/24 ptr -all' ] ]));
+
+        const pass = await cli([ 'check', '192.0.2.1', 'example.com' ], resolver);
+
+        expect(pass.code).toBe(0);
+        expect(pass.stdout).toBe('Pass: Client is authorized to inject mail with the given identity\n'
+            + 'Matched: ip4\n'
+            + 'Warning: Mechanism "ptr" is deprecated and should not be used\n');
+
+        const fail = await cli([ '--json', 'check', '198.51.100.1', 'example.com', 'user@example.com' ], resolver);
+
+        expect(fail.code).toBe(1);
+        expect(JSON.parse(fail.stdout)).toEqual(jasmine.objectContaining({ result: 'Fail', mechanism: 'all' }));
+
+        const limited = await cli([ '--max-dns=0', 'check', '192.0.2.1', 'example.com' ], resolver);
+
+        expect(limited.code).toBe(6);
+    });
+
+    it('checks a required include', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf.example.com -all' ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:spf.example.net -all' ] ]));
+        resolve.withArgs('spf.example.net', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.0/24 -all' ] ]));
+
+        const found = await cli([ 'include', 'example.com', 'spf.example.net' ], resolver);
+
+        expect(found.code).toBe(0);
+        expect(found.stdout).toContain('Chain: example.com -> _spf.example.com -> spf.example.net\n');
+        expect((await cli([ 'include', 'example.com', 'spf.example.org' ], resolver)).code).toBe(1);
+    });
+
+    it('prints the resolved mechanism tree', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 mx include:_spf.example.com redirect=_spf.example.net' ] ]));
+        resolve.withArgs('example.com', 'MX').and.returnValue(Promise.resolve([ { exchange: 'mx.example.com', priority: 10 } ]));
+        resolve.withArgs('mx.example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.1' ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a:mail.example.com include:missing.example.com' ] ]));
+        resolve.withArgs('mail.example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.2' ]));
+        resolve.withArgs('_spf.example.net', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 exists:%{i}.example.net -all' ] ]));
+
+        const output = await cli([ 'record', 'example.com' ], resolver);
+
+        expect(output.code).toBe(0);
+        expect(output.stdout).toBe([
+            'example.com',
+            '  mx',
+            '    mx.example.com -> 192.0.2.1',
+            '  include:_spf.example.com',
+            '    _spf.example.com',
+            '      a:mail.example.com -> 192.0.2.2',
+            '      include:missing.example.com !! PermError: Domain "missing.example.com" of "include:missing.example.com" has no SPF record',
+            '  redirect=_spf.example.net',
+            '    _spf.example.net',
+            '      exists:%{i}.example.net',
+            '      -all',
+            '',
+        ].join('\n'));
+    });
+
+    it('exits with a usage error on invalid command lines', async () => {
+        const { resolver } = createResolver();
+
+        expect((await cli([ 'check', '192.0.2.1' ], resolver)).code).toBe(64);
+        expect((await cli([ '--max-dns', 'ten', 'record', 'example.com' ], resolver)).code).toBe(64);
+        expect((await cli([ '--verbose', 'record', 'example.com' ], resolver)).code).toBe(64);
+        expect((await cli([ 'lookup', 'example.com' ], resolver)).stderr).toContain('Usage: spf-check');
+    });
+
+    it('exits with a usage error on invalid name servers', async () => {
+        const output = await cli([ '--nameserver=not-an-ip', 'record', 'example.com' ]);
+
+        expect(output.code).toBe(64);
+        expect(output.stderr).toMatch(/^Invalid value of option "--nameserver": not-an-ip\n/);
+
+        // Ports are taken as by the resolver.
+        for (const server of [ '192.0.2.53', '192.0.2.53:5353', '2001:db8::53', '[2001:db8::53]:5353' ]) {
+            expect((await cli([ '--nameserver', server, '--help' ])).code).toBe(0);
+        }
+    });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const spf = require('../index');
+const { createResolver, dnsError } = require('./helpers/resolver');
+
+describe('dmarc', () => {
+    it('tells whether SPF passes for a domain aligned with the From domain', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('bounces.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.1 -all' ] ]));
+        resolve.withArgs('_dmarc.news.example.com', 'TXT').and.callFake(() => Promise.reject(dnsError('ENOTFOUND', '_dmarc.news.example.com')));
+        resolve.withArgs('_dmarc.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=DMARC1; p=reject; sp=quarantine; pct=50; rua=mailto:dmarc@example.com' ] ]));
+
+        const relaxed = await spf.dmarc('192.0.2.1', 'bounce@bounces.example.com', 'news.example.com', { resolver });
+
+        expect(relaxed).toEqual(jasmine.objectContaining({
+            domain: 'bounces.example.com',
+            fromDomain: 'news.example.com',
+            organizationalDomain: 'example.com',
+            policy: {
+                domain: 'example.com',
+                record: 'v=DMARC1; p=reject; sp=quarantine; pct=50; rua=mailto:dmarc@example.com',
+                p: 'reject',
+                sp: 'quarantine',
+                pct: 50,
+                aspf: 'r',
+            },
+            mode: 'relaxed',
+            aligned: true,
+        }));
+        expect(relaxed.spf).toEqual(jasmine.objectContaining({ result: spf.SPFResults.Pass }));
+
+        const unauthorized = await spf.dmarc('198.51.100.1', 'bounce@bounces.example.com', 'news.example.com', { resolver });
+
+        expect(unauthorized.spf.result).toBe(spf.SPFResults.Fail);
+        expect(unauthorized.aligned).toBe(false);
+
+        resolve.withArgs('_dmarc.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=DMARC1; p=none; aspf=s' ] ]));
+
+        const strict = await spf.dmarc('192.0.2.1', 'bounce@bounces.example.com', 'example.com', { resolver });
+
+        expect(strict.mode).toBe('strict');
+        expect(strict.policy).toEqual(jasmine.objectContaining({ p: 'none', sp: 'none', pct: 100 }));
+        expect(strict.aligned).toBe(false);
+    });
+
+    it('checks the HELO domain of null senders and reports failed policy lookups', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('mail.example.org', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.1 -all' ] ]));
+        resolve.withArgs('_dmarc.example.org', 'TXT').and.callFake(() => Promise.reject(dnsError('ESERVFAIL', '_dmarc.example.org')));
+
+        const result = await spf.dmarc('192.0.2.1', '<>', 'example.org', { resolver, helo: 'mail.example.org' });
+
+        expect(result).toEqual(jasmine.objectContaining({
+            domain: 'mail.example.org',
+            policy: null,
+            policyError: 'TempError: query ESERVFAIL _dmarc.example.org',
+            mode: 'relaxed',
+            aligned: true,
+        }));
+    });
+
+    it('gives None for null senders without HELO identity', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('_dmarc.example.org', 'TXT').and.returnValue(Promise.resolve([ [ 'v=DMARC1; p=reject' ] ]));
+
+        for (const sender of [ '<>', '' ]) {
+            const result = await spf.dmarc('192.0.2.1', sender, 'example.org', { resolver });
+
+            expect(result).toEqual(jasmine.objectContaining({
+                domain: '',
+                policy: jasmine.objectContaining({ domain: 'example.org', p: 'reject' }),
+                aligned: false,
+            }));
+            expect(result.spf).toEqual(jasmine.objectContaining({ result: spf.SPFResults.None, message: 'Null sender without HELO identity' }));
+        }
+    });
+});
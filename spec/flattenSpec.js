@@ -0,0 +1,108 @@
+'use strict';
+
+const _ = require('lodash');
+const spf = require('../index');
+const { createResolver, dnsError } = require('./helpers/resolver');
+
+describe('flatten', () => {
+    it('resolves includes, A and MX mechanisms into merged networks', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 mx a:mail.example.com/31 include:_spf.example.net -ip4:203.0.113.0/24 ~all exp=explain._spf.%{d}' ] ]));
+        resolve.withArgs('example.com', 'MX').and.returnValue(Promise.resolve([ { exchange: 'mx.example.com', priority: 10 } ]));
+        resolve.withArgs('mx.example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.1' ]));
+        resolve.withArgs('mx.example.com', 'AAAA').and.returnValue(Promise.resolve([ '2001:db8::1' ]));
+        resolve.withArgs('mail.example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.2' ]));
+        resolve.withArgs('_spf.example.net', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 -ip4:203.0.113.5 ip4:192.0.2.0/31 ip4:198.51.100.128/25 ip4:198.51.100.0/25 ~all' ] ]));
+
+        const result = await spf.flatten('example.com', { resolver });
+
+        expect(result.records).toEqual([ {
+            name: 'example.com',
+            value: 'v=spf1 ip4:192.0.2.0/30 ip4:198.51.100.0/24 ip6:2001:db8::1 -ip4:203.0.113.0/24 ~all exp=explain._spf.%{d}',
+            strings: [ 'v=spf1 ip4:192.0.2.0/30 ip4:198.51.100.0/24 ip6:2001:db8::1 -ip4:203.0.113.0/24 ~all exp=explain._spf.%{d}' ],
+        } ]);
+        expect(result.kept).toEqual([]);
+        expect(result.warnings).toEqual([]);
+
+        // Records are only fetched once for both address types.
+        expect(_.filter(resolve.calls.allArgs(), [ 0, '_spf.example.net' ]).length).toBe(1);
+    });
+
+    it('keeps terms that cannot be flattened and reports them', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.1 include:_spf.example.net exists:%{i}._spf.example.com include:%{d}.example.org redirect=_spf.example.com' ] ]));
+        resolve.withArgs('_spf.example.net', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:198.51.100.0/24 exists:%{i}.example.net -all' ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ptr ip4:192.0.2.0 -all' ] ]));
+
+        const result = await spf.flatten('example.com', { resolver });
+
+        expect(result.records[0].value).toBe('v=spf1 ip4:192.0.2.1 include:_spf.example.net exists:%{i}._spf.example.com include:%{d}.example.org redirect=_spf.example.com');
+        expect(result.kept).toEqual([
+            { term: 'include:_spf.example.net', domain: 'example.com', reason: 'Includes "exists:%{i}.example.net" of "_spf.example.net" that cannot be flattened' },
+            { term: 'exists:%{i}._spf.example.com', domain: 'example.com', reason: 'Depends on the message' },
+            { term: 'include:%{d}.example.org', domain: 'example.com', reason: 'Depends on the message' },
+            { term: 'redirect=_spf.example.com', domain: 'example.com', reason: 'Redirects to "ptr" of "_spf.example.com" that cannot be flattened' },
+        ]);
+    });
+
+    it('flattens the target of a redirect after the terms of the record', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 redirect=_spf.provider.net ip4:192.0.2.1' ] ]));
+        resolve.withArgs('_spf.provider.net', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:198.51.100.0/24 ~all' ] ]));
+
+        expect((await spf.flatten('example.com', { resolver })).records[0].value).toBe('v=spf1 ip4:192.0.2.1 ip4:198.51.100.0/24 ~all');
+
+        // Macros of the target expand with its own domain.
+        resolve.withArgs('_spf.provider.net', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 exists:%{i}._ip.%{d} -all' ] ]));
+
+        const result = await spf.flatten('example.com', { resolver });
+
+        expect(result.records).toEqual([ {
+            name: 'example.com',
+            value: 'v=spf1 ip4:192.0.2.1 redirect=_spf.provider.net',
+            strings: [ 'v=spf1 ip4:192.0.2.1 redirect=_spf.provider.net' ],
+        } ]);
+        expect(result.kept).toEqual([
+            { term: 'redirect=_spf.provider.net', domain: 'example.com', reason: 'Redirects to "exists:%{i}._ip.%{d}" of "_spf.provider.net" that cannot be flattened' },
+        ]);
+        expect(result.warnings).toEqual([]);
+    });
+
+    it('keeps terms whose records cannot be resolved', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('Example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.1 include:_spf.example.net -all exp=explain.example.com' ] ]));
+        resolve.withArgs('_spf.example.net', 'TXT').and.callFake(() => Promise.reject(dnsError('ESERVFAIL', '_spf.example.net')));
+
+        const result = await spf.flatten('Example.com', { resolver });
+
+        expect(result.records[0].value).toBe('v=spf1 ip4:192.0.2.1 include:_spf.example.net -all exp=explain.example.com');
+        expect(result.kept).toEqual([
+            { term: 'include:_spf.example.net', domain: 'Example.com', reason: jasmine.stringMatching(/^TempError: /) },
+        ]);
+    });
+
+    it('splits long results into chained records', async () => {
+        const { resolver, resolve } = createResolver();
+        const networks = _.times(40, i => 'ip4:10.' + i + '.0.1');
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf.example.net -all' ] ]));
+        resolve.withArgs('_spf.example.net', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ' + _.join(networks, ' ') + ' -all' ] ]));
+
+        const result = await spf.flatten('example.com', { resolver });
+
+        expect(_.map(result.records, 'name')).toEqual([ 'example.com', '_spf1.example.com' ]);
+        expect(_.last(result.records[0].value.split(' '))).toBe('-all');
+        expect(result.records[0].value).toContain(' include:_spf1.example.com -all');
+        expect(_.flatMap(result.records, record => _.filter(record.value.split(' '), term => _.startsWith(term, 'ip4:')))).toEqual(networks);
+
+        _.forEach(result.records, record => {
+            expect(Buffer.byteLength(record.value)).not.toBeGreaterThan(450);
+            expect(_.join(record.strings, '')).toBe(record.value);
+            expect(_.max(_.map(record.strings, 'length'))).not.toBeGreaterThan(255);
+        });
+    });
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Creates an error like the ones rejected by `dns.promises.Resolver`.
+ *
+ * @param {string} code - Error code like "ENOTFOUND" or "ESERVFAIL".
+ * @param {string} hostname
+ * @returns {Error}
+ */
+function dnsError(code, hostname) {
+    const err = new Error('query ' + code + ' ' + hostname);
+
+    err.code = code;
+    err.hostname = hostname;
+
+    return err;
+}
+
+/**
+ * Creates an in-memory resolver where every lookup goes through the `resolve`
+ * spy as `resolve(hostname, rrtype)`. Names not stubbed do not exist.
+ *
+ * @returns {{ resolver: Object, resolve: jasmine.Spy }}
+ */
+function createResolver() {
+    const resolve = jasmine.createSpy('resolve').and.callFake(hostname => {
+        return Promise.reject(dnsError('ENOTFOUND', hostname));
+    });
+
+    const resolver = {
+        resolveTxt: hostname => resolve(hostname, 'TXT'),
+        resolve4: hostname => resolve(hostname, 'A'),
+        resolve6: hostname => resolve(hostname, 'AAAA'),
+        resolveMx: hostname => resolve(hostname, 'MX'),
+        reverse: ip => resolve(ip, 'PTR'),
+        resolveSpf: hostname => resolve(hostname, 'SPF'),
+    };
+
+    return { resolver, resolve };
+}
+
+module.exports = { createResolver, dnsError };
@@ -1,7 +1,9 @@
 'use strict';
 
-const dns = require('dns');
+const ipaddr = require('ipaddr.js');
+const _ = require('lodash');
 const spf = require('../index');
+const { createResolver, dnsError } = require('./helpers/resolver');
 
 describe('spf-check', () => {
     it('returns None when IP address is not valid', async () => {
@@ -12,155 +14,109 @@ describe('spf-check', () => {
         await expectAsync(spf('127.0.0.1', '<invalid-hostname>')).toBeResolvedTo(spf.SPFResults.None);
     });
 
-    it('returns TempError when dns.resolve fails', async () => {
-        const resolve = spyOn(dns, 'resolve');
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(new Error('queryTxt ESERVFAIL example.com'));
-        });
+    it('returns TempError when DNS lookup fails', async () => {
+        const { resolver, resolve } = createResolver();
+        resolve.withArgs('example.com', 'TXT').and.callFake(() => Promise.reject(dnsError('ESERVFAIL', 'example.com')));
 
-        await expectAsync(spf('127.0.0.1', 'example.com')).toBeResolvedTo(spf.SPFResults.TempError);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.TempError);
 
         expect(resolve).toHaveBeenCalledTimes(1);
     });
 
-    it('returns TempError when dns.resolve fails recursively', async () => {
-        const resolve = spyOn(dns, 'resolve');
+    it('returns TempError when DNS lookup fails recursively', async () => {
+        const { resolver, resolve } = createResolver();
 
-        await resolve.withArgs('_1.example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(new Error('queryTxt ESERVFAIL example.com'));
-        });
+        resolve.withArgs('_1.example.com', 'TXT').and.callFake(() => Promise.reject(dnsError('ESERVFAIL', 'example.com')));
 
-        await resolve.withArgs('_0.example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 ip4:192.168.0.1 -all' ] ]);
-        });
+        resolve.withArgs('_0.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.168.0.1 -all' ] ]));
 
-        await resolve.withArgs('_spf.example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 include:_0.example.com', ' include:_1.example.com -all' ] ]);
-        });
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_0.example.com', ' include:_1.example.com -all' ] ]));
 
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 ', 'redirect=_spf.example.com' ] ]);
-        });
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ', 'redirect=_spf.example.com' ] ]));
 
-        await expectAsync(spf('127.0.0.1', 'example.com')).toBeResolvedTo(spf.SPFResults.TempError);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.TempError);
 
         expect(resolve).toHaveBeenCalledTimes(4);
     });
 
     it('returns None when domain is not found', async () => {
-        const resolve = spyOn(dns, 'resolve');
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(new Error('queryTxt ENOTFOUND example.com'));
-        });
+        const { resolver, resolve } = createResolver();
+        resolve.withArgs('example.com', 'TXT').and.callFake(() => Promise.reject(dnsError('ENOTFOUND', 'example.com')));
 
-        await expectAsync(spf('127.0.0.1', 'example.com')).toBeResolvedTo(spf.SPFResults.None);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.None);
 
         expect(resolve).toHaveBeenCalledTimes(1);
     });
 
     it('returns None when no TXT records are found', async () => {
-        const resolve = spyOn(dns, 'resolve');
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, []);
-        });
+        const { resolver, resolve } = createResolver();
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([]));
 
-        await expectAsync(spf('127.0.0.1', 'example.com')).toBeResolvedTo(spf.SPFResults.None);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.None);
 
         expect(resolve).toHaveBeenCalledTimes(1);
     });
 
     it('returns PermError when more than one TXT record is found', async () => {
-        const resolve = spyOn(dns, 'resolve');
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 ', 'redirect=_spf.example.com' ], [ 'v=spf1 ip4:192.168.0.1/32 -all' ] ]);
-        });
+        const { resolver, resolve } = createResolver();
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ', 'redirect=_spf.example.com' ], [ 'v=spf1 ip4:192.168.0.1/32 -all' ] ]));
 
-        await expectAsync(spf('127.0.0.1', 'example.com')).toBeResolvedTo(spf.SPFResults.PermError);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.PermError);
 
         expect(resolve).toHaveBeenCalledTimes(1);
     });
 
     it('returns PermError when TXT is not in US-ASCII', async () => {
-        const resolve = spyOn(dns, 'resolve');
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 ', '' ] ]);
-        });
+        const { resolver, resolve } = createResolver();
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ', '' ] ]));
 
-        await expectAsync(spf('127.0.0.1', 'example.com')).toBeResolvedTo(spf.SPFResults.PermError);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.PermError);
 
         expect(resolve).toHaveBeenCalledTimes(1);
     });
 
     it('returns PermError when TXT record contains syntax errors', async () => {
-        const resolve = spyOn(dns, 'resolve');
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 ip12:12.12.12.12/24 -none' ] ]);
-        });
+        const { resolver, resolve } = createResolver();
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip12:12.12.12.12/24 -none' ] ]));
 
-        await expectAsync(spf('127.0.0.1', 'example.com')).toBeResolvedTo(spf.SPFResults.PermError);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.PermError);
 
         expect(resolve).toHaveBeenCalledTimes(1);
     });
 
     it('returns PermError when DNS query limit is reached', async () => {
-        const resolve = spyOn(dns, 'resolve');
+        const { resolver, resolve } = createResolver();
 
         // This one will never be called because it will fail before.
-        //await resolve.withArgs('local.example.com', 'A', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-        //    callback(null, [ '127.0.0.1' ]);
-        //});
+        //resolve.withArgs('local.example.com', 'A').and.returnValue(Promise.resolve([ '127.0.0.1' ]));
 
-        await resolve.withArgs('srv.example.com', 'A', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ '192.168.0.10' ]);
-        });
+        resolve.withArgs('srv.example.com', 'A').and.returnValue(Promise.resolve([ '192.168.0.10' ]));
 
-        await resolve.withArgs('pop.example.com', 'A', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ '192.168.0.9' ]);
-        });
+        resolve.withArgs('pop.example.com', 'A').and.returnValue(Promise.resolve([ '192.168.0.9' ]));
 
-        await resolve.withArgs('smtp.example.com', 'A', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ '192.168.0.8' ]);
-        });
+        resolve.withArgs('smtp.example.com', 'A').and.returnValue(Promise.resolve([ '192.168.0.8' ]));
 
-        await resolve.withArgs('_1.example.com', 'A', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ '192.168.0.2' ]);
-        });
+        resolve.withArgs('_1.example.com', 'A').and.returnValue(Promise.resolve([ '192.168.0.2' ]));
 
-        await resolve.withArgs('_1.example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 a a:smtp.example.com', ' a:pop.example.com a:srv.example.com ', 'a:local.example.com -all' ] ]);
-        });
+        resolve.withArgs('_1.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a a:smtp.example.com', ' a:pop.example.com a:srv.example.com ', 'a:local.example.com -all' ] ]));
 
-        await resolve.withArgs('imap.example.com', 'A', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ '192.168.0.7' ]);
-        });
+        resolve.withArgs('imap.example.com', 'A').and.returnValue(Promise.resolve([ '192.168.0.7' ]));
 
-        await resolve.withArgs('_0.example.com', 'A', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ '192.168.0.1' ]);
-        });
+        resolve.withArgs('_0.example.com', 'A').and.returnValue(Promise.resolve([ '192.168.0.1' ]));
 
         // This will not count for mechanisms limit but needs a return value if
-        // not spyOn will swallow it.
-        await resolve.withArgs('mx.example.com', 'A', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ '192.168.0.42' ]);
-        });
+        // not it will not be found.
+        resolve.withArgs('mx.example.com', 'A').and.returnValue(Promise.resolve([ '192.168.0.42' ]));
 
-        await resolve.withArgs('example.com', 'MX', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ { priority: 10, exchange: 'mx.example.com' } ]);
-        });
+        resolve.withArgs('example.com', 'MX').and.returnValue(Promise.resolve([ { priority: 10, exchange: 'mx.example.com' } ]));
 
-        await resolve.withArgs('_0.example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 mx:example.com a a:imap.example.com -all' ] ]);
-        });
+        resolve.withArgs('_0.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 mx:example.com a a:imap.example.com -all' ] ]));
 
-        await resolve.withArgs('_spf.example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 include:_0.example.com', ' include:_1.example.com -all' ] ]);
-        });
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_0.example.com', ' include:_1.example.com -all' ] ]));
 
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 ', 'redirect=_spf.example.com' ] ]);
-        });
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ', 'redirect=_spf.example.com' ] ]));
 
-        await expectAsync(spf('127.0.0.1', 'example.com')).toBeResolvedTo(spf.SPFResults.PermError);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.PermError);
 
         // This are 10 calls for each mechanism and one call for the A records
         // of the MX exchange.
@@ -168,10 +124,9 @@ describe('spf-check', () => {
     });
 
     it('returns PermError when DNS lookups for MX mechanism exeeds limit', async () => {
-        const resolve = spyOn(dns, 'resolve');
+        const { resolver, resolve } = createResolver();
 
-        await resolve.withArgs('example.com', 'MX', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [
+        resolve.withArgs('example.com', 'MX').and.returnValue(Promise.resolve([
                 { priority: 5, exchange: 'mx0.example.com' },
                 { priority: 10, exchange: 'mx1.example.com' },
                 { priority: 20, exchange: 'mx2.example.com' },
@@ -182,140 +137,106 @@ describe('spf-check', () => {
                 { priority: 70, exchange: 'mx7.example.com' },
                 { priority: 80, exchange: 'mx8.example.com' },
                 { priority: 90, exchange: 'mx9.example.com' },
-            ]);
-        });
+                { priority: 100, exchange: 'mx10.example.com' },
+            ]));
 
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 ', 'mx +all' ] ]);
-        });
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ', 'mx +all' ] ]));
 
-        await expectAsync(spf('127.0.0.1', 'example.com')).toBeResolvedTo(spf.SPFResults.PermError);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.PermError);
 
         expect(resolve).toHaveBeenCalledTimes(2);
     });
 
     it('returns Neutral when no mechanism is matched', async () => {
-        const resolve = spyOn(dns, 'resolve');
+        const { resolver, resolve } = createResolver();
 
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 a' ] ]);
-        });
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a' ] ]));
 
-        await resolve.withArgs('example.com', 'A', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ '192.168.0.7' ]);
-        });
+        resolve.withArgs('example.com', 'A').and.returnValue(Promise.resolve([ '192.168.0.7' ]));
 
-        await expectAsync(spf('127.0.0.1', 'example.com')).toBeResolvedTo(spf.SPFResults.Neutral);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Neutral);
 
         expect(resolve).toHaveBeenCalledTimes(2);
     });
 
     it('returns Pass when A mechanism match', async () => {
-        const resolve = spyOn(dns, 'resolve');
+        const { resolver, resolve } = createResolver();
 
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 a' ] ]);
-        });
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a' ] ]));
 
-        await resolve.withArgs('example.com', 'A', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ '127.0.0.1' ]);
-        });
+        resolve.withArgs('example.com', 'A').and.returnValue(Promise.resolve([ '127.0.0.1' ]));
 
-        await expectAsync(spf('127.0.0.1', 'example.com')).toBeResolvedTo(spf.SPFResults.Pass);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
 
         expect(resolve).toHaveBeenCalledTimes(2);
     });
 
     it('returns Pass when MX mechanism match', async () => {
-        const resolve = spyOn(dns, 'resolve');
+        const { resolver, resolve } = createResolver();
 
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 mx' ] ]);
-        });
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 mx' ] ]));
 
-        await resolve.withArgs('example.com', 'MX', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ { priority: 10, exchange: 'mx.example.com' } ]);
-        });
+        resolve.withArgs('example.com', 'MX').and.returnValue(Promise.resolve([ { priority: 10, exchange: 'mx.example.com' } ]));
 
-        await resolve.withArgs('mx.example.com', 'A', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ '127.0.0.1' ]);
-        });
+        resolve.withArgs('mx.example.com', 'A').and.returnValue(Promise.resolve([ '127.0.0.1' ]));
 
-        await expectAsync(spf('127.0.0.1', 'example.com')).toBeResolvedTo(spf.SPFResults.Pass);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
 
         expect(resolve).toHaveBeenCalledTimes(3);
     });
 
     it('returns Pass when IP4 mechanism match', async () => {
-        const resolve = spyOn(dns, 'resolve');
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 ip4:127.0.0.1' ] ]);
-        });
+        const { resolver, resolve } = createResolver();
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:127.0.0.1' ] ]));
 
-        await expectAsync(spf('127.0.0.1', 'example.com')).toBeResolvedTo(spf.SPFResults.Pass);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
 
         expect(resolve).toHaveBeenCalledTimes(1);
     });
 
     it('returns Pass when IP6 mechanism match', async () => {
-        const resolve = spyOn(dns, 'resolve');
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 ip6:2001:DB8::CB01' ] ]);
-        });
+        const { resolver, resolve } = createResolver();
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip6:2001:DB8::CB01' ] ]));
 
-        await expectAsync(spf('2001:DB8::CB01', 'example.com')).toBeResolvedTo(spf.SPFResults.Pass);
+        await expectAsync(spf('2001:DB8::CB01', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
 
         expect(resolve).toHaveBeenCalledTimes(1);
     });
 
     it('returns Pass when INCLUDE mechanism is resolved and match', async () => {
-        const resolve = spyOn(dns, 'resolve');
+        const { resolver, resolve } = createResolver();
 
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 include:_spf.example.com' ] ]);
-        });
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf.example.com' ] ]));
 
-        await resolve.withArgs('_spf.example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 +all' ] ]);
-        });
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 +all' ] ]));
 
-        await expectAsync(spf('127.0.0.1', 'example.com')).toBeResolvedTo(spf.SPFResults.Pass);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
 
         expect(resolve).toHaveBeenCalledTimes(2);
     });
 
     it('returns Pass when INCLUDE mechanism is resolved and match expected include', async () => {
-        const resolve = spyOn(dns, 'resolve');
+        const { resolver, resolve } = createResolver();
 
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [['v=spf1 include:_spf.example.com']]);
-        });
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([['v=spf1 include:_spf.example.com']]));
 
-        await resolve.withArgs('_spf.example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [['v=spf1 +all']]);
-        });
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([['v=spf1 +all']]));
 
-        await expectAsync(spf('127.0.0.1', 'example.com')).toBeResolvedTo(spf.SPFResults.Pass);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
 
         expect(resolve).toHaveBeenCalledTimes(2);
     });
 
     it('returns Pass when INCLUDE mechanism is resolved and match expected include', async () => {
-        const resolve = spyOn(dns, 'resolve');
+        const { resolver, resolve } = createResolver();
 
-        await resolve.withArgs('example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [['v=spf1 include:_spf1.example.com']]);
-        });
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([['v=spf1 include:_spf1.example.com']]));
 
-        await resolve.withArgs('_spf1.example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [['v=spf1 include:_spf2.example.com']]);
-        });
+        resolve.withArgs('_spf1.example.com', 'TXT').and.returnValue(Promise.resolve([['v=spf1 include:_spf2.example.com']]));
 
-        await resolve.withArgs('_spf2.example.com', 'TXT', jasmine.any(Function)).and.callFake((_0, _1, callback) => {
-            callback(null, [ [ 'v=spf1 ip4:127.0.0.1' ] ]);
-        });
+        resolve.withArgs('_spf2.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:127.0.0.1' ] ]));
 
-        let s = new spf.SPF('example.com');
+        let s = new spf.SPF('example.com', { resolver });
         await expectAsync(s.checkInclude('_spf1.example.com')).toBeResolvedTo(jasmine.objectContaining({result: spf.SPFResults.Pass}));
 
         expect(resolve).toHaveBeenCalledTimes(1);
@@ -327,4 +248,822 @@ describe('spf-check', () => {
 
         await expectAsync(s.checkInclude('_spf3.example.com')).toBeResolvedTo(jasmine.objectContaining({result: spf.SPFResults.Fail}));
     });
+    it('expands macros as in RFC 7208 examples', async () => {
+        const validator = new spf.SPF('email.example.com', 'strong-bad@email.example.com');
+        const expand = macroString => validator.expand(macroString, validator.domain);
+
+        validator.addr = ipaddr.parse('192.0.2.3');
+
+        await expectAsync(expand('%{s}')).toBeResolvedTo('strong-bad@email.example.com');
+        await expectAsync(expand('%{o}')).toBeResolvedTo('email.example.com');
+        await expectAsync(expand('%{d}')).toBeResolvedTo('email.example.com');
+        await expectAsync(expand('%{d4}')).toBeResolvedTo('email.example.com');
+        await expectAsync(expand('%{d2}')).toBeResolvedTo('example.com');
+        await expectAsync(expand('%{d1}')).toBeResolvedTo('com');
+        await expectAsync(expand('%{dr}')).toBeResolvedTo('com.example.email');
+        await expectAsync(expand('%{d2r}')).toBeResolvedTo('example.email');
+        await expectAsync(expand('%{l}')).toBeResolvedTo('strong-bad');
+        await expectAsync(expand('%{l-}')).toBeResolvedTo('strong.bad');
+        await expectAsync(expand('%{lr-}')).toBeResolvedTo('bad.strong');
+        await expectAsync(expand('%{l1r-}')).toBeResolvedTo('strong');
+        await expectAsync(expand('%{ir}.%{v}._spf.%{d2}')).toBeResolvedTo('3.2.0.192.in-addr._spf.example.com');
+        await expectAsync(expand('%{lr-}.lp.%{ir}.%{v}._spf.%{d2}')).toBeResolvedTo('bad.strong.lp.3.2.0.192.in-addr._spf.example.com');
+        await expectAsync(expand('%{d2}.trusted-domains.example.net')).toBeResolvedTo('example.com.trusted-domains.example.net');
+        await expectAsync(expand('%{S}')).toBeResolvedTo('strong-bad%40email.example.com');
+        await expectAsync(expand('%%%_%-')).toBeResolvedTo('% %20');
+
+        validator.addr = ipaddr.parse('2001:db8::cb01');
+
+        await expectAsync(expand('%{ir}.%{v}._spf.%{d2}')).toBeResolvedTo('1.0.b.c.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6._spf.example.com');
+    });
+
+    it('rejects malformed macros with PermError', async () => {
+        const validator = new spf.SPF('example.com');
+
+        validator.addr = ipaddr.parse('192.0.2.3');
+
+        await expectAsync(validator.expand('%{x}', 'example.com')).toBeRejectedWith(jasmine.objectContaining({ result: spf.SPFResults.PermError }));
+        await expectAsync(validator.expand('%a', 'example.com')).toBeRejectedWith(jasmine.objectContaining({ result: spf.SPFResults.PermError }));
+        await expectAsync(validator.expand('%{d0}', 'example.com')).toBeRejectedWith(jasmine.objectContaining({ result: spf.SPFResults.PermError }));
+        await expectAsync(validator.expand('%{c}', 'example.com')).toBeRejectedWith(jasmine.objectContaining({ result: spf.SPFResults.PermError }));
+        await expectAsync(validator.expand('%{c}', 'example.com', true)).toBeResolvedTo('192.0.2.3');
+    });
+
+    it('returns Pass when INCLUDE mechanism with macros is resolved and match', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:%{ir}.%{v}._spf.%{d} -all' ] ]));
+
+        resolve.withArgs('1.0.0.127.in-addr._spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 +all' ] ]));
+
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
+
+        expect(resolve).toHaveBeenCalledTimes(2);
+    });
+
+    it('returns Pass when A mechanism with sender macros match', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a:%{l}.%{o} -all' ] ]));
+
+        resolve.withArgs('john.example.org', 'A').and.returnValue(Promise.resolve([ '127.0.0.1' ]));
+
+        await expectAsync(spf('127.0.0.1', 'example.com', 'john@example.org', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
+
+        expect(resolve).toHaveBeenCalledTimes(2);
+    });
+    it('returns Pass when EXISTS mechanism match', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 exists:%{i}._spf.%{d} -all' ] ]));
+
+        resolve.withArgs('2.0.0.1.0.d.b.8.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.c.b.0.1._spf.example.com', 'A').and.returnValue(Promise.resolve([ '127.0.0.2' ]));
+
+        await expectAsync(spf('2001:DB8::CB01', 'example.com', { prefetch: true, resolver })).toBeResolvedTo(spf.SPFResults.Pass);
+
+        expect(resolve).toHaveBeenCalledTimes(2);
+    });
+
+    it('returns Fail when EXISTS mechanism domain is not found', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 exists:%{l}.users.%{d} -all' ] ]));
+
+        resolve.withArgs('john.users.example.com', 'A').and.callFake(() => Promise.reject(dnsError('ENOTFOUND', 'john.users.example.com')));
+
+        await expectAsync(spf('127.0.0.1', 'example.com', 'john@example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Fail);
+
+        expect(resolve).toHaveBeenCalledTimes(2);
+    });
+    it('returns Pass when PTR mechanism match a validated name', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ptr -all' ] ]));
+
+        resolve.withArgs('127.0.0.1', 'PTR').and.returnValue(Promise.resolve([ 'mail.example.org', 'mail.example.com' ]));
+
+        resolve.withArgs('mail.example.org', 'A').and.returnValue(Promise.resolve([ '127.0.0.1' ]));
+
+        resolve.withArgs('mail.example.com', 'A').and.returnValue(Promise.resolve([ '127.0.0.1' ]));
+
+        const validator = new spf.SPF('example.com', { resolver });
+
+        await expectAsync(validator.check('127.0.0.1')).toBeResolvedTo(jasmine.objectContaining({ result: spf.SPFResults.Pass }));
+
+        expect(resolve).toHaveBeenCalledTimes(4);
+        expect(validator.warnings).toContain('Mechanism "ptr" is deprecated and should not be used');
+    });
+
+    it('returns Fail when PTR mechanism name does not resolve back to the IP', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ptr:example.com -all' ] ]));
+
+        resolve.withArgs('127.0.0.1', 'PTR').and.returnValue(Promise.resolve([ 'mail.example.com' ]));
+
+        resolve.withArgs('mail.example.com', 'A').and.returnValue(Promise.resolve([ '127.0.0.2' ]));
+
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Fail);
+
+        expect(resolve).toHaveBeenCalledTimes(3);
+    });
+    it('returns Fail with the expanded EXP explanation', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 exp=explain._spf.%{d} ip4:192.168.0.1 -all' ] ]));
+
+        resolve.withArgs('explain._spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ '%{c} is not one of %{d}\'s ', 'designated mail servers.' ] ]));
+
+        const validator = new spf.SPF('example.com', { resolver });
+
+        await expectAsync(validator.check('127.0.0.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.Fail,
+            explanation: '127.0.0.1 is not one of example.com\'s designated mail servers.',
+        }));
+
+        expect(validator.queryDNSCount).toBe(1);
+
+        resolve.calls.reset();
+
+        await expectAsync(validator.check('192.168.0.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.Pass,
+            explanation: undefined,
+        }));
+
+        expect(resolve).toHaveBeenCalledTimes(1);
+    });
+
+    it('returns Fail without explanation when EXP lookup fails', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 -all exp=explain._spf.%{d}' ] ]));
+
+        resolve.withArgs('explain._spf.example.com', 'TXT').and.callFake(() => Promise.reject(dnsError('ESERVFAIL', 'explain._spf.example.com')));
+
+        const validator = new spf.SPF('example.com', { resolver });
+
+        await expectAsync(validator.check('127.0.0.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.Fail,
+            explanation: undefined,
+        }));
+
+        expect(resolve).toHaveBeenCalledTimes(2);
+    });
+    it('returns PermError when void DNS lookups exceed limit', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a:a.example.com mx:b.example.com exists:c.example.com -all' ] ]));
+        resolve.withArgs('b.example.com', 'MX').and.returnValue(Promise.resolve([]));
+
+        const validator = new spf.SPF('example.com', { resolver });
+
+        await expectAsync(validator.check('127.0.0.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.PermError,
+            message: 'Limit of void DNS lookups reached',
+        }));
+
+        expect(validator.voidLookupCount).toBe(3);
+
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver, maxVoidLookups: 3 })).toBeResolvedTo(spf.SPFResults.Fail);
+    });
+
+    it('returns PermError when MX names exceed their own limit', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 mx -all' ] ]));
+        resolve.withArgs('example.com', 'MX').and.returnValue(Promise.resolve([
+            { priority: 10, exchange: 'mx0.example.com' },
+            { priority: 20, exchange: 'mx1.example.com' },
+            { priority: 30, exchange: 'mx2.example.com' },
+        ]));
+        resolve.withArgs('mx2.example.com', 'A').and.returnValue(Promise.resolve([ '127.0.0.1' ]));
+
+        await expectAsync(new spf.SPF('example.com', { resolver, maxMXNames: 2 }).check('127.0.0.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.PermError,
+            message: 'Limit of MX names reached when processing MX mechanism',
+        }));
+
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver, maxMXNames: 3 })).toBeResolvedTo(spf.SPFResults.Pass);
+    });
+
+    it('ignores PTR names over their limit', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ptr -all' ] ]));
+        resolve.withArgs('127.0.0.1', 'PTR').and.returnValue(Promise.resolve([ 'a.example.org', 'b.example.org', 'mail.example.com' ]));
+        resolve.withArgs('mail.example.com', 'A').and.returnValue(Promise.resolve([ '127.0.0.1' ]));
+
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver, maxPTRNames: 2 })).toBeResolvedTo(spf.SPFResults.Fail);
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver, maxPTRNames: 3 })).toBeResolvedTo(spf.SPFResults.Pass);
+    });
+    it('generates Received-SPF header field', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip6:2001:db8::/32 -all' ] ]));
+
+        const validator = new spf.SPF('example.com', 'myname@example.com', { resolver, receiver: 'mybox.example.org' });
+
+        const pass = await validator.check('2001:db8::cb01');
+
+        expect(pass.toReceivedSPF()).toBe([
+            'Received-SPF: pass (mybox.example.org: domain of myname@example.com designates',
+            ' 2001:db8::cb01 as permitted sender) client-ip="2001:db8::cb01";',
+            ' envelope-from="myname@example.com"; receiver=mybox.example.org;',
+            ' identity=mailfrom; mechanism=ip6;',
+        ].join('\r\n'));
+
+        const fail = await validator.check('192.0.2.1');
+
+        expect(fail.toReceivedSPF()).toBe([
+            'Received-SPF: fail (mybox.example.org: domain of myname@example.com does not',
+            ' designate 192.0.2.1 as permitted sender) client-ip=192.0.2.1;',
+            ' envelope-from="myname@example.com"; receiver=mybox.example.org;',
+            ' identity=mailfrom; mechanism=all;',
+        ].join('\r\n'));
+    });
+
+    it('generates Authentication-Results header field', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.1 -all' ] ]));
+
+        const result = await new spf.SPF('example.com', 'my name@example.com', { resolver }).check('192.0.2.1');
+
+        expect(result.toAuthenticationResultsClause()).toBe('spf=pass smtp.mailfrom="my name"@example.com');
+        expect(result.toAuthenticationResults('mx.example.org')).toBe([
+            'Authentication-Results: mx.example.org; spf=pass',
+            ' smtp.mailfrom="my name"@example.com',
+        ].join('\r\n'));
+        expect(() => result.toAuthenticationResults()).toThrowError(TypeError);
+    });
+    it('returns Pass when A and MX mechanisms match with CIDR lengths', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a/24 mx:mx.example.com/26 a:v6.example.com//64 mx//48 -all' ] ]));
+        resolve.withArgs('example.com', 'A').and.returnValue(Promise.resolve([ '192.168.0.10' ]));
+        resolve.withArgs('mx.example.com', 'MX').and.returnValue(Promise.resolve([ { priority: 10, exchange: 'mail.example.com' } ]));
+        resolve.withArgs('mail.example.com', 'A').and.returnValue(Promise.resolve([ '10.0.0.1' ]));
+        resolve.withArgs('mail.example.com', 'AAAA').and.returnValue(Promise.resolve([ '2001:db8:1::1' ]));
+        resolve.withArgs('example.com', 'AAAA').and.returnValue(Promise.resolve([ '2001:db8:2::1' ]));
+        resolve.withArgs('mx.example.com', 'AAAA').and.returnValue(Promise.resolve([]));
+        resolve.withArgs('example.com', 'MX').and.returnValue(Promise.resolve([ { priority: 10, exchange: 'mail.example.com' } ]));
+        resolve.withArgs('v6.example.com', 'AAAA').and.returnValue(Promise.resolve([ '2001:db8:2::1' ]));
+
+        await expectAsync(spf('192.168.0.200', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
+        await expectAsync(spf('10.0.0.63', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
+        await expectAsync(spf('10.0.0.64', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Fail);
+        await expectAsync(spf('2001:db8:2::ffff', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
+        await expectAsync(spf('2001:db8:1:ffff::1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
+        await expectAsync(spf('2001:db8:3::1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Fail);
+    });
+
+    it('returns PermError when CIDR length is out of range', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a/33 -all' ] ]));
+
+        await expectAsync(spf('127.0.0.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.PermError);
+    });
+
+    it('handles IPv4-mapped IPv6 addresses as IPv4', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.0/24 a:mail.example.com -all' ] ]));
+        resolve.withArgs('mail.example.com', 'A').and.returnValue(Promise.resolve([ '198.51.100.1' ]));
+
+        await expectAsync(spf('::ffff:192.0.2.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
+        await expectAsync(spf('::ffff:198.51.100.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
+
+        expect(resolve).toHaveBeenCalledWith('mail.example.com', 'A');
+        expect(resolve).not.toHaveBeenCalledWith('mail.example.com', 'AAAA');
+    });
+    it('returns all matched mechanisms of nested includes', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf1.example.com -all' ] ]));
+        resolve.withArgs('_spf1.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf2.example.com -all' ] ]));
+        resolve.withArgs('_spf2.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:127.0.0.1 -all' ] ]));
+
+        await expectAsync(new spf.SPF('example.com', { resolver }).check('127.0.0.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.Pass,
+            matched: [ 'include', 'include', 'ip4' ],
+        }));
+    });
+
+    it('returns the evaluation trace when enabled', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a include:_spf.example.com ~all' ] ]));
+        resolve.withArgs('example.com', 'A').and.returnValue(Promise.resolve([ '192.168.0.1' ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 mx -all' ] ]));
+        resolve.withArgs('_spf.example.com', 'MX').and.returnValue(Promise.resolve([ { priority: 10, exchange: 'mx.example.com' } ]));
+        resolve.withArgs('mx.example.com', 'A').and.returnValue(Promise.resolve([ '192.168.0.2' ]));
+
+        await expectAsync(new spf.SPF('example.com', { resolver }).check('127.0.0.1')).toBeResolvedTo(jasmine.objectContaining({ trace: undefined }));
+
+        const result = await new spf.SPF('example.com', { resolver, trace: true }).check('127.0.0.1');
+        const query = (name, rrtype, answer, counted) => jasmine.objectContaining({ name, rrtype, answer, counted, duration: jasmine.any(Number) });
+
+        expect(result.result).toBe(spf.SPFResults.SoftFail);
+        expect(result.trace).toEqual({
+            domain: 'example.com',
+            record: 'v=spf1 a include:_spf.example.com ~all',
+            queries: [ query('example.com', 'TXT', [ 'v=spf1 a include:_spf.example.com ~all' ], true) ],
+            mechanisms: [ {
+                term: 'a',
+                qualifier: '+',
+                type: 'a',
+                evaluated: true,
+                matched: false,
+                queries: [ query('example.com', 'A', [ '192.168.0.1' ], true) ],
+            }, {
+                term: 'include:_spf.example.com',
+                qualifier: '+',
+                type: 'include',
+                evaluated: true,
+                matched: false,
+                result: spf.SPFResults.Fail,
+                queries: [],
+                target: {
+                    domain: '_spf.example.com',
+                    record: 'v=spf1 mx -all',
+                    queries: [ query('_spf.example.com', 'TXT', [ 'v=spf1 mx -all' ], true) ],
+                    mechanisms: [ {
+                        term: 'mx',
+                        qualifier: '+',
+                        type: 'mx',
+                        evaluated: true,
+                        matched: false,
+                        queries: [
+                            query('_spf.example.com', 'MX', [ { priority: 10, exchange: 'mx.example.com' } ], true),
+                            query('mx.example.com', 'A', [ '192.168.0.2' ], false),
+                        ],
+                    }, {
+                        term: '-all',
+                        qualifier: '-',
+                        type: 'all',
+                        evaluated: true,
+                        matched: true,
+                        queries: [],
+                    } ],
+                },
+            }, {
+                term: '~all',
+                qualifier: '~',
+                type: 'all',
+                evaluated: true,
+                matched: true,
+                queries: [],
+            } ],
+            result: spf.SPFResults.SoftFail,
+            stoppedAt: { domain: 'example.com', term: '~all' },
+        });
+    });
+
+    it('traces the target of a redirect with the modifier when prefetching', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 redirect=_spf.example.com ip4:192.0.2.1 a:x.example.com' ] ]));
+        resolve.withArgs('x.example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.2' ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 -all' ] ]));
+
+        const result = await new spf.SPF('example.com', { resolver, prefetch: true, trace: true }).check('192.0.2.99');
+        const [ redirect, ip4, a ] = result.trace.mechanisms;
+
+        expect(result.result).toBe(spf.SPFResults.Fail);
+        expect(ip4.target).toBeUndefined();
+        expect(a.target).toBeUndefined();
+        expect(_.map(a.queries, 'name')).toEqual([ 'x.example.com' ]);
+        expect(redirect).toEqual(jasmine.objectContaining({
+            term: 'redirect=_spf.example.com',
+            evaluated: true,
+            result: spf.SPFResults.Fail,
+            target: jasmine.objectContaining({
+                domain: '_spf.example.com',
+                record: 'v=spf1 -all',
+                queries: [ jasmine.objectContaining({ name: '_spf.example.com', rrtype: 'TXT' }) ],
+            }),
+        }));
+    });
+
+    it('checks supplied records instead of the published ones', async () => {
+        const { resolver, resolve } = createResolver();
+        const cache = new spf.DNSCache();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 -all' ] ]));
+        resolve.withArgs('mail.example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.1' ]));
+
+        const options = {
+            resolver,
+            cache,
+            record: 'v=spf1 include:_spf.example.com -all',
+            records: { '_spf.example.com': 'v=spf1 a:mail.example.com -all' },
+        };
+
+        await expectAsync(spf('192.0.2.1', 'example.com', options)).toBeResolvedTo(spf.SPFResults.Pass);
+        expect(resolve).not.toHaveBeenCalledWith('example.com', 'TXT');
+        expect(resolve).not.toHaveBeenCalledWith('_spf.example.com', 'TXT');
+
+        // Supplied records are not cached for other checks.
+        await expectAsync(spf('192.0.2.1', 'example.com', { resolver, cache })).toBeResolvedTo(spf.SPFResults.Fail);
+    });
+
+    it('checks the HELO identity', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('mail.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a -all' ] ]));
+        resolve.withArgs('mail.example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.1' ]));
+
+        const checker = new spf.SPF('example.com', 'user@example.com', { resolver, helo: 'mail.example.com', receiver: 'mx.example.org' });
+        const result = await checker.checkHelo('192.0.2.1');
+
+        expect(result.result).toBe(spf.SPFResults.Pass);
+        expect(result.identity).toBe('helo');
+        expect(result.toAuthenticationResults()).toBe('Authentication-Results: mx.example.org; spf=pass smtp.helo=mail.example.com');
+
+        await expectAsync(checker.checkHelo('192.0.2.1', '[192.0.2.1]')).toBeResolvedTo(jasmine.objectContaining({ result: spf.SPFResults.None, identity: 'helo' }));
+    });
+
+    it('checks the published record of the HELO domain along with a supplied record', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('helo.example.net', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.1 -all' ] ]));
+        resolve.withArgs('helo.example.org', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:example.com -all' ] ]));
+
+        const checker = new spf.SPF('example.com', { resolver, record: 'v=spf1 +all' });
+
+        await expectAsync(checker.checkHelo('192.0.2.99', 'helo.example.net')).toBeResolvedTo(jasmine.objectContaining({ result: spf.SPFResults.Fail }));
+        await expectAsync(checker.checkHelo('192.0.2.1', 'helo.example.net')).toBeResolvedTo(jasmine.objectContaining({ result: spf.SPFResults.Pass }));
+
+        // The supplied record is still used where the HELO domain includes it.
+        await expectAsync(checker.checkHelo('192.0.2.99', 'helo.example.org')).toBeResolvedTo(jasmine.objectContaining({ result: spf.SPFResults.Pass }));
+        expect(resolve).not.toHaveBeenCalledWith('example.com', 'TXT');
+    });
+
+    it('checks null senders with the HELO domain', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('mail.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 exists:%{l}.%{h}._spf.example.com -all' ] ]));
+        resolve.withArgs('postmaster.mail.example.com._spf.example.com', 'A').and.returnValue(Promise.resolve([ '127.0.0.2' ]));
+
+        const result = await new spf.SPF('', '<>', { resolver, helo: 'mail.example.com' }).check('192.0.2.1');
+
+        expect(result.result).toBe(spf.SPFResults.Pass);
+        expect(result.envelopeFrom).toBe('postmaster@mail.example.com');
+        expect(result.toReceivedSPF()).toContain('helo=mail.example.com;');
+
+        // The domain given is not the identity of null senders.
+        const checker = new spf.SPF('example.com', '<>', { resolver, helo: 'mail.example.com' });
+
+        expect(checker.domain).toBe('mail.example.com');
+        await expectAsync(checker.check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({ result: spf.SPFResults.Pass }));
+        expect(resolve).not.toHaveBeenCalledWith('example.com', 'TXT');
+    });
+
+    it('returns TempError naming the query that times out', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf.example.com -all' ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(new Promise(() => {}));
+
+        await expectAsync(new spf.SPF('example.com', { resolver, queryTimeout: 10 }).check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.TempError,
+            message: 'Timeout of 10ms reached during query TXT _spf.example.com',
+        }));
+
+        await expectAsync(new spf.SPF('example.com', { resolver, queryTimeout: 1000, deadline: 10 }).check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.TempError,
+            message: 'Deadline of 10ms reached during query TXT _spf.example.com',
+        }));
+    });
+
+    it('returns TempError when the check is aborted', async () => {
+        const { resolver, resolve } = createResolver();
+        const controller = new AbortController();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf.example.com -all' ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.callFake(() => {
+            controller.abort();
+
+            return new Promise(() => {});
+        });
+
+        const checker = new spf.SPF('example.com', { resolver, signal: controller.signal });
+
+        await expectAsync(checker.check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.TempError,
+            message: 'Check aborted during query TXT _spf.example.com',
+        }));
+
+        await expectAsync(checker.checkInclude('_spf.example.com')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.TempError,
+            message: 'Check aborted before query TXT example.com',
+        }));
+    });
+
+    it('returns TempError when the check is aborted before cached queries', async () => {
+        const { resolver, resolve } = createResolver();
+        const cache = new spf.DNSCache();
+        const controller = new AbortController();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 +all' ] ]));
+
+        await expectAsync(spf('192.0.2.1', 'example.com', { resolver, cache })).toBeResolvedTo(spf.SPFResults.Pass);
+
+        controller.abort();
+
+        await expectAsync(new spf.SPF('example.com', { resolver, cache, signal: controller.signal }).check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.TempError,
+            message: 'Check aborted before query TXT example.com',
+            interrupted: true,
+        }));
+    });
+
+    it('returns TempError when lookups of "ptr" and "exp" are interrupted', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ptr -all' ] ]));
+        resolve.withArgs('192.0.2.1', 'PTR').and.returnValue(new Promise(() => {}));
+        resolve.withArgs('example.org', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 exp=explain.example.org -all' ] ]));
+        resolve.withArgs('explain.example.org', 'TXT').and.returnValue(new Promise(() => {}));
+
+        await expectAsync(new spf.SPF('example.com', { resolver, queryTimeout: 10 }).check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.TempError,
+            message: 'Timeout of 10ms reached during query PTR 192.0.2.1',
+        }));
+
+        const controller = new AbortController();
+
+        setTimeout(() => controller.abort(), 10);
+
+        await expectAsync(new spf.SPF('example.com', { resolver, signal: controller.signal }).check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.TempError,
+            message: 'Check aborted during query PTR 192.0.2.1',
+        }));
+
+        await expectAsync(new spf.SPF('example.org', { resolver, deadline: 10 }).check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.TempError,
+            message: 'Deadline of 10ms reached during query TXT explain.example.org',
+        }));
+
+        // Failed lookups still only mean there are no names.
+        resolve.withArgs('192.0.2.1', 'PTR').and.callFake(() => Promise.reject(dnsError('ESERVFAIL', '192.0.2.1')));
+
+        await expectAsync(new spf.SPF('example.com', { resolver, queryTimeout: 10 }).check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.Fail,
+        }));
+    });
+
+    it('checks many addresses with one lookup of the policy', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a mx ~all' ] ]));
+        resolve.withArgs('example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.1' ]));
+        resolve.withArgs('example.com', 'MX').and.returnValue(Promise.resolve([ { exchange: 'mx.example.com', priority: 10 } ]));
+        resolve.withArgs('mx.example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.2' ]));
+
+        const checker = new spf.SPF('example.com', { resolver });
+        const checks = await checker.checkMany([ '192.0.2.1', '192.0.2.2', '192.0.2.3' ]);
+
+        expect(_.map(checks, 'result')).toEqual([ spf.SPFResults.Pass, spf.SPFResults.Pass, spf.SPFResults.SoftFail ]);
+        expect(checks[1].mechanism).toBe('mx');
+        expect(resolve).toHaveBeenCalledTimes(4);
+
+        // The answers are not kept after the batch.
+        await checker.check('192.0.2.1');
+
+        expect(resolve).toHaveBeenCalledTimes(6);
+    });
+
+    it('applies the lookup limits to each address of a batch', async () => {
+        const { resolver, resolve } = createResolver();
+        const hosts = _.times(6, i => 'a' + i + '.example.com');
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ' + _.join(_.map(hosts, host => 'a:' + host), ' ') + ' -all' ] ]));
+        _.forEach(hosts, (host, i) => resolve.withArgs(host, 'A').and.returnValue(Promise.resolve([ '192.0.2.' + i ])));
+
+        const checker = new spf.SPF('example.com', { resolver });
+        const checks = await checker.checkMany([ '192.0.2.5', '198.51.100.1', '192.0.2.0' ]);
+
+        expect(_.map(checks, 'result')).toEqual([ spf.SPFResults.Pass, spf.SPFResults.Fail, spf.SPFResults.Pass ]);
+        expect(checker.queryDNSCount).toBe(2);
+    });
+
+    it('runs concurrent checks of an instance on their own', async () => {
+        const { resolver, resolve } = createResolver();
+        const hosts = _.times(4, i => 'a' + i + '.example.com');
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ' + _.join(_.map(hosts, host => 'a:' + host), ' ') + ' exists:%{i}._ip.example.com -all' ] ]));
+        _.forEach(hosts, host => resolve.withArgs(host, 'A').and.returnValue(Promise.resolve([ '198.51.100.1' ])));
+        resolve.withArgs('192.0.2.1._ip.example.com', 'A').and.returnValue(Promise.resolve([ '127.0.0.2' ]));
+        resolve.withArgs('192.0.2.2._ip.example.com', 'A').and.callFake(() => Promise.reject(dnsError('ENOTFOUND', '192.0.2.2._ip.example.com')));
+
+        const checker = new spf.SPF('example.com', { resolver, maxDNS: 6 });
+
+        // Each check takes 6 lookups with the one of the record, all of them would go over the limit
+        // and expand the macro with the last address if they were shared.
+        const checks = await Promise.all([
+            checker.check('192.0.2.1'),
+            checker.check('192.0.2.2'),
+            checker.checkMany([ '192.0.2.1', '192.0.2.2' ]),
+        ]);
+
+        expect(_.map(_.flatten(checks), 'result')).toEqual([ spf.SPFResults.Pass, spf.SPFResults.Fail, spf.SPFResults.Pass, spf.SPFResults.Fail ]);
+        expect(checker.queryDNSCount).toBe(6);
+    });
+
+    it('reports the chain of includes and redirects to a required include', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ~include:_soft.example.com redirect=_spf.example.com' ] ]));
+        resolve.withArgs('_soft.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.1 -all' ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_other.example.net include:spf.example.org -all' ] ]));
+        resolve.withArgs('_other.example.net', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:198.51.100.0/24 -all' ] ]));
+
+        const checker = new spf.SPF('example.com', { resolver });
+
+        await expectAsync(checker.checkInclude('spf.example.org')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.Pass,
+            message: 'Domain "spf.example.org" is included through example.com -> _spf.example.com -> spf.example.org',
+            chain: [ 'example.com', '_spf.example.com', 'spf.example.org' ],
+            qualifier: '+',
+            matched: [ 'redirect', 'include' ],
+        }));
+        expect(checker.queryDNSCount).toBe(4);
+
+        await expectAsync(checker.checkInclude('_soft.example.com')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.SoftFail,
+            chain: [ 'example.com', '_soft.example.com' ],
+            qualifier: '~',
+        }));
+
+        await expectAsync(checker.checkInclude('_spf.example.com')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.Pass,
+            chain: [ 'example.com', '_spf.example.com' ],
+            mechanism: 'redirect',
+        }));
+
+        await expectAsync(new spf.SPF('example.com', { resolver, maxDNS: 3 }).checkInclude('spf.example.org')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.PermError,
+            message: 'Limit of DNS lookups reached',
+        }));
+    });
+
+    it('reports required includes that are never reached', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf.example.com ip4:192.0.2.1 -all include:spf.example.org' ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 -include:spf.example.org ?all' ] ]));
+
+        const checker = new spf.SPF('example.com', { resolver });
+
+        await expectAsync(checker.checkInclude('spf.example.org')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.Fail,
+            message: 'Domain "spf.example.org" is included by "-include:spf.example.org" of "_spf.example.com" that never results in "Pass"',
+            chain: [ 'example.com', '_spf.example.com', 'spf.example.org' ],
+            qualifier: '-',
+        }));
+
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ?all' ] ]));
+
+        await expectAsync(checker.checkInclude('spf.example.org')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.Fail,
+            message: 'Term "include:spf.example.org" of "example.com" is never reached as it comes along with "-all"',
+            chain: [ 'example.com', 'spf.example.org' ],
+        }));
+
+        await expectAsync(checker.checkInclude('spf.example.net')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.Fail,
+            message: 'Domain "spf.example.net" is not included',
+        }));
+    });
+
+    it('counts lookups of all terms and reports missing targets of required includes', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a mx include:_spf.example.com -all' ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ptr exists:%{i}.example.com include:missing.example.net include:spf.example.org -all' ] ]));
+
+        const checker = new spf.SPF('example.com', { resolver });
+
+        await expectAsync(checker.checkInclude('spf.example.org')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.PermError,
+            message: 'Domain "missing.example.net" of "include:missing.example.net" has no SPF record',
+            chain: [ 'example.com', '_spf.example.com', 'missing.example.net' ],
+        }));
+        expect(checker.queryDNSCount).toBe(7);
+
+        // Terms that are not followed are not looked up either.
+        expect(resolve).not.toHaveBeenCalledWith('example.com', 'MX');
+
+        await expectAsync(new spf.SPF('example.com', { resolver, maxDNS: 5 }).checkInclude('spf.example.org')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.PermError,
+            message: 'Limit of DNS lookups reached',
+        }));
+    });
+
+    it('returns PermError naming the loop of includes and redirects', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf.example.com -all' ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf.example.net -all' ] ]));
+        resolve.withArgs('_spf.example.net', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 redirect=_SPF.example.com.' ] ]));
+
+        const result = await new spf.SPF('example.com', { resolver, maxDNS: 100, trace: true }).check('192.0.2.1');
+
+        expect(result).toEqual(jasmine.objectContaining({
+            result: spf.SPFResults.PermError,
+            message: 'Loop of "include" and "redirect" terms: _spf.example.com -> _spf.example.net -> _spf.example.com',
+        }));
+        expect(resolve).toHaveBeenCalledTimes(3);
+
+        const redirect = result.trace.mechanisms[0].target.mechanisms[0].target.mechanisms[0];
+
+        expect(redirect.term).toBe('redirect=_SPF.example.com.');
+        expect(redirect.loop).toEqual([ '_spf.example.com', '_spf.example.net', '_spf.example.com' ]);
+    });
+
+    it('compares or prefers SPF (type 99) records as set by the spfRecords option', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.1 -all' ], [ 'google-site-verification=abc' ] ]));
+        resolve.withArgs('example.com', 'SPF').and.returnValue(Promise.resolve([ [ 'v=spf1 ', '-all' ] ]));
+
+        const txtOnly = new spf.SPF('example.com', { resolver });
+
+        await expectAsync(txtOnly.check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({ result: spf.SPFResults.Pass }));
+        expect(resolve).not.toHaveBeenCalledWith('example.com', 'SPF');
+
+        const compare = new spf.SPF('example.com', { resolver, spfRecords: 'compare' });
+
+        await expectAsync(compare.check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({ result: spf.SPFResults.Pass }));
+        expect(compare.warnings).toEqual([ 'SPF (type 99) record of "example.com" differs from its TXT record' ]);
+        expect(compare.queryDNSCount).toBe(1);
+
+        const preferSPF = new spf.SPF('example.com', { resolver, spfRecords: 'prefer-spf' });
+
+        await expectAsync(preferSPF.check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({ result: spf.SPFResults.Fail }));
+        expect(preferSPF.warnings).toEqual([]);
+
+        resolve.withArgs('example.com', 'SPF').and.callFake(() => Promise.reject(dnsError('ENODATA', 'example.com')));
+
+        await expectAsync(preferSPF.check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({ result: spf.SPFResults.Pass }));
+        await expectAsync(compare.check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({ result: spf.SPFResults.Pass }));
+        expect(compare.warnings).toEqual([]);
+
+        expect(() => new spf.SPF('example.com', { spfRecords: 'spf-only' })).toThrowError(TypeError);
+    });
+
+    it('falls back to TXT records when the resolver cannot look up SPF (type 99) records', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf.example.com -all' ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.1 -all' ] ]));
+
+        const checker = new spf.SPF('example.com', { resolver: _.omit(resolver, 'resolveSpf'), spfRecords: 'prefer-spf' });
+
+        await expectAsync(checker.check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({ result: spf.SPFResults.Pass }));
+        expect(checker.warnings).toEqual([ 'SPF (type 99) records cannot be looked up without a "resolveSpf" method of the resolver, only TXT records are used' ]);
+    });
+
+    it('evaluates redirect targets as new checks after all mechanisms', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 redirect=_spf.example.com ip4:192.0.2.5' ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a -all' ] ]));
+        resolve.withArgs('_spf.example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.1' ]));
+
+        await expectAsync(new spf.SPF('example.com', { resolver }).check('192.0.2.5')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.Pass,
+            mechanism: 'ip4',
+            redirects: [],
+        }));
+
+        // The target is only looked up when no mechanism matched.
+        expect(resolve).toHaveBeenCalledTimes(1);
+
+        await expectAsync(new spf.SPF('example.com', { resolver }).check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.Pass,
+            mechanism: 'a',
+            matched: [ 'redirect', 'a' ],
+            redirects: [ '_spf.example.com' ],
+        }));
+
+        await expectAsync(new spf.SPF('example.com', { resolver }).check('192.0.2.2')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.Fail,
+            mechanism: 'all',
+            redirects: [ '_spf.example.com' ],
+        }));
+    });
+
+    it('returns PermError when the redirect target has no record', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.5 redirect=_spf.example.com' ] ]));
+
+        await expectAsync(new spf.SPF('example.com', { resolver }).check('192.0.2.1')).toBeResolvedTo(jasmine.objectContaining({
+            result: spf.SPFResults.PermError,
+            message: 'Domain "_spf.example.com" of "redirect=_spf.example.com" has no SPF record',
+        }));
+    });
 });
@@ -0,0 +1,165 @@
+'use strict';
+
+const _ = require('lodash');
+const spf = require('../index');
+const { createResolver } = require('./helpers/resolver');
+
+describe('lint', () => {
+    it('reports a healthy record without findings', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 mx include:_spf.example.com -all' ] ]));
+        resolve.withArgs('example.com', 'MX').and.returnValue(Promise.resolve([ { exchange: 'mx.example.com', priority: 10 } ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.0/24 a:mail.example.com' ] ]));
+        resolve.withArgs('mail.example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.1' ]));
+
+        const report = await spf.lint('example.com', { resolver });
+
+        expect(report.valid).toBe(true);
+        expect(report.findings).toEqual([]);
+        expect(report.lookups).toEqual({ total: 3, limit: 10 });
+        expect(report.voidLookups).toEqual({ total: 0, limit: 2 });
+        expect(report.tree.children).toEqual([ {
+            domain: '_spf.example.com',
+            term: 'include:_spf.example.com',
+            record: 'v=spf1 ip4:192.0.2.0/24 a:mail.example.com',
+            lookups: 2,
+            voidLookups: 0,
+            children: [],
+        } ]);
+    });
+
+    it('walks the whole tree without stopping at the first error', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [
+            'v=spf1 ip4:192.0.2.0/24 include:missing.example.com -ip4:192.0.2.128/25 include:_spf.example.com ptr include:_spf.example.com +all a:late.example.com',
+        ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.10 ?all' ] ]));
+
+        const report = await spf.lint('example.com', { resolver });
+
+        expect(report.valid).toBe(false);
+        expect(report.findings).toEqual([
+            jasmine.objectContaining({ code: 'VOID_LOOKUP', severity: 'warning', domain: 'missing.example.com' }),
+            jasmine.objectContaining({ code: 'NO_RECORD', severity: 'error', domain: 'missing.example.com', term: 'include:missing.example.com' }),
+            jasmine.objectContaining({ code: 'NEUTRAL_ALL', severity: 'warning', domain: '_spf.example.com', term: '?all' }),
+            jasmine.objectContaining({ code: 'DEPRECATED_PTR', severity: 'warning', domain: 'example.com', term: 'ptr' }),
+            jasmine.objectContaining({ code: 'DUPLICATE_INCLUDE', severity: 'warning', domain: 'example.com', term: 'include:_spf.example.com' }),
+            jasmine.objectContaining({ code: 'PASS_ALL', severity: 'error', domain: 'example.com', term: '+all' }),
+            jasmine.objectContaining({ code: 'UNREACHABLE_TERM', severity: 'warning', domain: 'example.com', term: 'a:late.example.com' }),
+            jasmine.objectContaining({ code: 'OVERLAPPING_RANGE', severity: 'info', domain: 'example.com', term: '-ip4:192.0.2.128/25' }),
+            jasmine.objectContaining({ code: 'REDUNDANT_RANGE', severity: 'warning', domain: '_spf.example.com', term: 'ip4:192.0.2.10' }),
+        ]);
+
+        // Terms after "all" are never looked up.
+        expect(resolve).not.toHaveBeenCalledWith('late.example.com', 'A');
+    });
+
+    it('reports lookups and void lookups over the limits', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a mx:mx.example.com include:_spf1.example.com redirect=_spf2.example.com' ] ]));
+        resolve.withArgs('example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.1' ]));
+        resolve.withArgs('_spf1.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a:a1.example.com a:a2.example.com a:a3.example.com' ] ]));
+        resolve.withArgs('_spf2.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 exists:e1.example.com exists:e2.example.com exists:e3.example.com exists:%{i}.example.com' ] ]));
+        resolve.withArgs('a1.example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.1' ]));
+        resolve.withArgs('a2.example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.2' ]));
+        resolve.withArgs('a3.example.com', 'AAAA').and.returnValue(Promise.resolve([ '2001:db8::3' ]));
+        resolve.withArgs('e1.example.com', 'A').and.returnValue(Promise.resolve([ '127.0.0.2' ]));
+
+        const report = await spf.lint('example.com', { resolver });
+
+        expect(report.lookups).toEqual({ total: 11, limit: 10 });
+        expect(report.voidLookups).toEqual({ total: 3, limit: 2 });
+        expect(_.map(report.tree.children, child => [ child.term, child.lookups, child.voidLookups ])).toEqual([
+            [ 'include:_spf1.example.com', 4, 0 ],
+            [ 'redirect=_spf2.example.com', 5, 2 ],
+        ]);
+        expect(_.map(report.findings, 'code')).toEqual([
+            'VOID_LOOKUP',
+            'VOID_LOOKUP',
+            'VOID_LOOKUP',
+            'UNRESOLVED_MACRO',
+            'MISSING_ALL',
+            'LOOKUP_LIMIT',
+            'VOID_LOOKUP_LIMIT',
+        ]);
+    });
+
+    it('reports multiple and long records', async () => {
+        const { resolver, resolve } = createResolver();
+        const long = 'v=spf1' + _.join(_.times(20, i => ' ip4:192.0.2.' + i), '') + ' -all';
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf1.example.com include:_spf2.example.com -all' ] ]));
+        resolve.withArgs('_spf1.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 -all' ], [ 'v=spf1 ~all' ] ]));
+        resolve.withArgs('_spf2.example.com', 'TXT').and.returnValue(Promise.resolve([ [ long.slice(0, 255), long.slice(255) ] ]));
+
+        const report = await spf.lint('example.com', { resolver });
+
+        expect(_.map(report.findings, 'code')).toEqual([
+            'MULTIPLE_RECORDS',
+            'LONG_RECORD',
+        ]);
+        expect(report.tree.children[1].record).toBe(long);
+    });
+
+    it('reports records leading back to themselves', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf.example.com -all' ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.1 redirect=example.com' ] ]));
+
+        const report = await spf.lint('example.com', { resolver });
+
+        expect(report.findings).toEqual([ {
+            code: 'INCLUDE_LOOP',
+            severity: 'error',
+            domain: '_spf.example.com',
+            message: 'Record leads back to itself through example.com -> _spf.example.com -> example.com',
+            term: 'redirect=example.com',
+        } ]);
+        expect(report.valid).toBe(false);
+    });
+
+    it('reports records without terms as missing, as checks do', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1' ] ]));
+
+        const report = await spf.lint('example.com', { resolver });
+
+        expect(report.findings).toEqual([ {
+            code: 'NO_RECORD',
+            severity: 'error',
+            domain: 'example.com',
+            message: 'Domain has no SPF record, its record without terms is not taken as one',
+        } ]);
+        expect(report.valid).toBe(false);
+        await expectAsync(spf('192.0.2.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.None);
+    });
+
+    it('reports SPF (type 99) records that differ from TXT records with the spfRecords option', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf.example.com -all' ] ]));
+        resolve.withArgs('example.com', 'SPF').and.returnValue(Promise.resolve([ [ 'v=spf1 -all' ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.1 -all' ] ]));
+        resolve.withArgs('_spf.example.com', 'SPF').and.returnValue(Promise.resolve([ [ 'v=spf1 ', 'ip4:192.0.2.1 -all' ] ]));
+
+        expect((await spf.lint('example.com', { resolver })).findings).toEqual([]);
+        expect(resolve).not.toHaveBeenCalledWith('example.com', 'SPF');
+
+        const report = await spf.lint('example.com', { resolver, spfRecords: 'compare' });
+
+        expect(report.findings).toEqual([ {
+            code: 'SPF_TYPE_MISMATCH',
+            severity: 'warning',
+            domain: 'example.com',
+            message: 'SPF (type 99) record differs from the TXT record',
+        } ]);
+
+        // Lookups of SPF records do not count toward the limit.
+        expect(report.lookups.total).toBe(1);
+    });
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const _ = require('lodash');
+const spf = require('../index');
+const { createResolver } = require('./helpers/resolver');
+
+describe('networks', () => {
+    it('lists the networks of each term with the chain it comes from', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 mx/24 include:_spf.example.net redirect=_spf.example.com' ] ]));
+        resolve.withArgs('example.com', 'MX').and.returnValue(Promise.resolve([ { exchange: 'mx.example.com', priority: 10 } ]));
+        resolve.withArgs('mx.example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.1' ]));
+        resolve.withArgs('mx.example.com', 'AAAA').and.returnValue(Promise.resolve([ '2001:db8::1' ]));
+        resolve.withArgs('_spf.example.net', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:10.0.0.0/8 ~all' ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 -ip6:2001:db8:1::/48 -all' ] ]));
+
+        const result = await spf.networks('example.com', { resolver });
+
+        expect(_.map(result.networks, entry => _.pick(entry, [ 'network', 'qualifier', 'term', 'chain' ]))).toEqual([
+            { network: '192.0.2.0/24', qualifier: '+', term: 'mx/24', chain: [ 'example.com' ] },
+            { network: '2001:db8::1/128', qualifier: '+', term: 'mx/24', chain: [ 'example.com' ] },
+            { network: '10.0.0.0/8', qualifier: '+', term: 'ip4:10.0.0.0/8', chain: [ 'example.com', '_spf.example.net' ] },
+            { network: '0.0.0.0/0', qualifier: '~', term: '~all', chain: [ 'example.com', '_spf.example.net' ] },
+            { network: '::/0', qualifier: '~', term: '~all', chain: [ 'example.com', '_spf.example.net' ] },
+            { network: '2001:db8:1::/48', qualifier: '-', term: '-ip6:2001:db8:1::/48', chain: [ 'example.com', '_spf.example.com' ] },
+            { network: '0.0.0.0/0', qualifier: '-', term: '-all', chain: [ 'example.com', '_spf.example.com' ] },
+            { network: '::/0', qualifier: '-', term: '-all', chain: [ 'example.com', '_spf.example.com' ] },
+        ]);
+        expect(result.unresolved).toEqual([]);
+
+        // Huge ranges can be told by their CIDR length.
+        expect(_.map(_.filter(result.networks, entry => entry.qualifier === '+' && entry.kind === 'ipv4' && entry.bits <= 8), 'network')).toEqual([ '10.0.0.0/8' ]);
+    });
+
+    it('marks the terms that cannot be enumerated', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ptr exists:%{i}.list.example.com a:%{h} include:_spf.example.net include:none.example.net -all' ] ]));
+        resolve.withArgs('_spf.example.net', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:192.0.2.1 exists:list.example.net' ] ]));
+
+        const result = await spf.networks('example.com', { resolver });
+
+        expect(_.map(result.networks, 'network')).toEqual([ '192.0.2.1/32', '0.0.0.0/0', '::/0' ]);
+        expect(result.unresolved).toEqual([
+            { term: 'ptr', domain: 'example.com', chain: [ 'example.com' ], reason: 'Depends on the reverse lookup of the client address' },
+            { term: 'exists:%{i}.list.example.com', domain: 'example.com', chain: [ 'example.com' ], reason: 'Depends on the message' },
+            { term: 'a:%{h}', domain: 'example.com', chain: [ 'example.com' ], reason: 'Depends on the message' },
+            { term: 'exists:list.example.net', domain: '_spf.example.net', chain: [ 'example.com', '_spf.example.net' ], reason: 'Depends on the lookup of "list.example.net"' },
+            { term: 'include:none.example.net', domain: 'example.com', chain: [ 'example.com' ], reason: 'PermError: Domain "none.example.net" of "include:none.example.net" has no SPF record' },
+        ]);
+    });
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const spf = require('../index');
+const { createResolver } = require('./helpers/resolver');
+
+describe('snapshot', () => {
+    it('serializes the resolved policy in a stable order', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 a include:_spf.example.net exists:%{i}.example.com redirect=_spf.example.com' ] ]));
+        resolve.withArgs('example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.2', '192.0.2.1' ]));
+        resolve.withArgs('_spf.example.net', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:198.51.100.0/24 include:missing.example.net' ] ]));
+        resolve.withArgs('_spf.example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 -ip6:2001:db8::/32 ~all' ] ]));
+
+        const result = await spf.snapshot('example.com', { resolver });
+
+        expect(result).toEqual({
+            domain: 'example.com',
+            all: '~all',
+            lookups: 5,
+            includes: [ '_spf.example.net' ],
+            networks: [
+                { network: '192.0.2.1/32', qualifier: '+' },
+                { network: '192.0.2.2/32', qualifier: '+' },
+                { network: '198.51.100.0/24', qualifier: '+' },
+                { network: '2001:db8::/32', qualifier: '-' },
+            ],
+            tree: {
+                domain: 'example.com',
+                record: 'v=spf1 a include:_spf.example.net exists:%{i}.example.com redirect=_spf.example.com',
+                terms: [
+                    { term: 'a', networks: [ '192.0.2.1/32', '192.0.2.2/32' ] },
+                    { term: 'include:_spf.example.net', target: {
+                        domain: '_spf.example.net',
+                        record: 'v=spf1 ip4:198.51.100.0/24 include:missing.example.net',
+                        terms: [
+                            { term: 'ip4:198.51.100.0/24', networks: [ '198.51.100.0/24' ] },
+                            { term: 'include:missing.example.net', error: 'PermError: Domain "missing.example.net" of "include:missing.example.net" has no SPF record' },
+                        ],
+                    } },
+                    { term: 'exists:%{i}.example.com' },
+                    { term: 'redirect=_spf.example.com', target: {
+                        domain: '_spf.example.com',
+                        record: 'v=spf1 -ip6:2001:db8::/32 ~all',
+                        terms: [
+                            { term: '-ip6:2001:db8::/32', networks: [ '2001:db8::/32' ] },
+                            { term: '~all' },
+                        ],
+                    } },
+                ],
+            },
+        });
+
+        // Snapshots only change with the records.
+        resolve.withArgs('example.com', 'A').and.returnValue(Promise.resolve([ '192.0.2.1', '192.0.2.2' ]));
+
+        expect(JSON.stringify(await spf.snapshot('example.com', { resolver }))).toBe(JSON.stringify(result));
+    });
+
+    it('reports the changes between two snapshots', async () => {
+        const { resolver, resolve } = createResolver();
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf.example.net ip4:192.0.2.0/24 ~all' ] ]));
+        resolve.withArgs('_spf.example.net', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:198.51.100.0/24 -all' ] ]));
+
+        const before = await spf.snapshot('example.com', { resolver });
+
+        expect(spf.diff(before, before)).toEqual({
+            changed: false,
+            includes: { added: [], removed: [] },
+            networks: { added: [], removed: [] },
+            qualifiers: [],
+            all: null,
+            lookups: null,
+        });
+
+        resolve.withArgs('example.com', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 include:_spf.example.org -ip4:192.0.2.0/24 mx -all' ] ]));
+        resolve.withArgs('_spf.example.org', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:203.0.113.0/24 -all' ] ]));
+
+        const after = await spf.snapshot('example.com', { resolver });
+
+        expect(spf.diff(before, after)).toEqual({
+            changed: true,
+            includes: { added: [ '_spf.example.org' ], removed: [ '_spf.example.net' ] },
+            networks: { added: [ '203.0.113.0/24' ], removed: [ '198.51.100.0/24' ] },
+            qualifiers: [
+                { domain: 'example.com', term: 'all', from: '~', to: '-' },
+                { domain: 'example.com', term: 'ip4:192.0.2.0/24', from: '+', to: '-' },
+            ],
+            all: { from: '~all', to: '-all' },
+            lookups: { from: 1, to: 2 },
+        });
+    });
+});
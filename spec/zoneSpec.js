@@ -0,0 +1,32 @@
+'use strict';
+
+const spf = require('../index');
+const { createResolver } = require('./helpers/resolver');
+
+describe('ZoneResolver', () => {
+    it('answers from the zone and tells missing names from missing records', async () => {
+        const resolver = new spf.ZoneResolver({
+            'Example.com.': { TXT: [ 'v=spf1 mx -all', [ 'v=spf1 ', 'split' ] ], MX: [ { exchange: 'mx.example.com', priority: 10 } ] },
+            'mx.example.com': { A: [ '192.0.2.1' ] },
+        });
+
+        await expectAsync(resolver.resolveTxt('example.com')).toBeResolvedTo([ [ 'v=spf1 mx -all' ], [ 'v=spf1 ', 'split' ] ]);
+        await expectAsync(resolver.resolve4('mx.example.com')).toBeResolvedTo([ '192.0.2.1' ]);
+        await expectAsync(resolver.resolve6('mx.example.com')).toBeRejectedWith(jasmine.objectContaining({ code: 'ENODATA' }));
+        await expectAsync(resolver.resolve4('missing.example.com')).toBeRejectedWith(jasmine.objectContaining({ code: 'ENOTFOUND' }));
+    });
+
+    it('looks up names missing from the zone with the fallback resolver', async () => {
+        const fallback = createResolver();
+        const resolver = new spf.ZoneResolver({
+            'example.com': { TXT: [ 'v=spf1 include:_spf.example.net a:mail.example.com -all' ] },
+            'mail.example.com': { A: [ '192.0.2.1' ] },
+        }, fallback.resolver);
+
+        fallback.resolve.withArgs('_spf.example.net', 'TXT').and.returnValue(Promise.resolve([ [ 'v=spf1 ip4:198.51.100.0/24 -all' ] ]));
+
+        await expectAsync(spf('192.0.2.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
+        await expectAsync(spf('198.51.100.1', 'example.com', { resolver })).toBeResolvedTo(spf.SPFResults.Pass);
+        expect(fallback.resolve).not.toHaveBeenCalledWith('example.com', 'TXT');
+    });
+});
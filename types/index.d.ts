@@ -1,10 +1,20 @@
+/// <reference types="node" />
 declare namespace _exports {
-    export { ResultEnum, SPFOptions };
+    export { ResultEnum, TraceQuery, TraceRecord, TraceTerm, DNSResolver, SPFOptions };
 }
 declare function _exports(ip: any, domain: any, sender: any, options: any): Promise<"None" | "Neutral" | "Pass" | "Fail" | "SoftFail" | "TempError" | "PermError">;
 declare namespace _exports {
     export { results as SPFResults };
     export { SPF };
+    export { SPFResult };
+    export { DNSCache };
+    export { ZoneResolver };
+    export let lint: typeof import("./lib/lint");
+    export let flatten: typeof import("./lib/flatten");
+    export let networks: typeof import("./lib/networks");
+    export let snapshot: typeof import("./lib/snapshot").snapshot;
+    export let diff: typeof import("./lib/snapshot").diff;
+    export let dmarc: typeof import("./lib/dmarc");
 }
 export = _exports;
 type ResultEnum = {
@@ -37,6 +47,123 @@ type ResultEnum = {
      */
     PermError: string;
 };
+type TraceQuery = {
+    /**
+     * - Name looked up.
+     */
+    name: string;
+    /**
+     * - Record type looked up.
+     */
+    rrtype: string;
+    /**
+     * - Records returned, if any.
+     */
+    answer?: any[];
+    /**
+     * - Error code or message of a failed lookup.
+     */
+    error?: string;
+    /**
+     * - Time spent in milliseconds.
+     */
+    duration: number;
+    /**
+     * - Whether the lookup counted toward the DNS lookups limit.
+     */
+    counted: boolean;
+};
+type TraceRecord = {
+    /**
+     * - Domain of the record.
+     */
+    domain: string;
+    /**
+     * - SPF record fetched, if any.
+     */
+    record?: string;
+    /**
+     * - Lookups done to fetch the record.
+     */
+    queries: TraceQuery[];
+    /**
+     * - Mechanisms and "redirect" modifier of the record.
+     */
+    mechanisms: TraceTerm[];
+    /**
+     * - Result of the check, only on the root record.
+     */
+    result?: string;
+    /**
+     * - Term where evaluation stopped,
+     * only on the root record. The term is "default" when nothing matched.
+     */
+    stoppedAt?: {
+        domain: string;
+        term: string;
+    };
+};
+type TraceTerm = {
+    /**
+     * - Term as written in the record.
+     */
+    term: string;
+    /**
+     * - Qualifier of the mechanism: "+", "-", "~" or "?".
+     */
+    qualifier: string;
+    /**
+     * - Mechanism type, or "redirect".
+     */
+    type: string;
+    /**
+     * - Whether the mechanism has been evaluated.
+     */
+    evaluated: boolean;
+    /**
+     * - Whether the mechanism matched, once evaluated.
+     */
+    matched?: boolean;
+    /**
+     * - Result of the included record, for "include", or of the target
+     * record, for "redirect".
+     */
+    result?: string;
+    /**
+     * - Lookups done for the term.
+     */
+    queries: TraceQuery[];
+    /**
+     * - Record resolved by "include" or "redirect".
+     */
+    target?: TraceRecord;
+    /**
+     * - Domains from the record this term leads back to, to
+     * this term's target, when "include" and "redirect" terms loop.
+     */
+    loop?: string[];
+};
+/**
+ * Records may come with their TTL, used by the `cache`: `{ address, ttl }` for
+ * address lookups (as `dns.promises.Resolver` does with the `ttl` option), `{ entries,
+ * ttl }` for TXT and SPF records, `{ exchange, priority, ttl }` for MX records and
+ * `{ value, ttl }` for PTR records.
+ */
+type DNSResolver = {
+    resolveTxt: (arg0: string) => Promise<string[][]>;
+    resolve4: (arg0: string) => Promise<string[]>;
+    resolve6: (arg0: string) => Promise<string[]>;
+    resolveMx: (arg0: string) => Promise<{
+        exchange: string;
+        priority: number;
+    }[]>;
+    reverse: (arg0: string) => Promise<string[]>;
+    /**
+     * - Lookup of SPF (type 99)
+     * records, only needed by the `spfRecords` option as `dns.promises.Resolver` cannot do it.
+     */
+    resolveSpf?: (arg0: string) => Promise<string[][]>;
+};
 type SPFOptions = {
     /**
      * - SPF version, conforms to https://tools.ietf.org/html/rfc4408
@@ -45,7 +172,7 @@ type SPFOptions = {
     /**
      * - Resolve all mechanisms before evaluating them.
      * This will cause many DNS queries to be made and possible hit the 10 queries hard limit.
-     * Note that "redirect" mechanisms always resolve first no matter the value of this option.
+     * Otherwise the "redirect" modifier is only resolved when no mechanism matched.
      */
     prefetch?: boolean;
     /**
@@ -53,6 +180,81 @@ type SPFOptions = {
      * caused by the use of the "include" mechanism or the "redirect" modifier.
      */
     maxDNS?: number;
+    /**
+     * - Hard limit on the number of DNS lookups that return
+     * either "domain does not exist" or no answers.
+     */
+    maxVoidLookups?: number;
+    /**
+     * - Hard limit on the number of names returned by the MX
+     * lookup of the "mx" mechanism.
+     */
+    maxMXNames?: number;
+    /**
+     * - Number of names returned by the reverse lookup of the
+     * "ptr" mechanism that are checked, others are ignored.
+     */
+    maxPTRNames?: number;
+    /**
+     * - Resolver used for all DNS lookups, like a
+     * `dns.promises.Resolver` set up with specific servers.
+     */
+    resolver?: DNSResolver;
+    /**
+     * - Cache of DNS answers, that can be shared by many checks.
+     * Cached answers still count toward the DNS lookups limit. Answers are kept for their TTL
+     * when the resolver tells it, for the `defaultTTL` of the cache otherwise, which is the case
+     * of TXT and MX answers from `dns.promises.Resolver`.
+     */
+    cache?: DNSCache;
+    /**
+     * - Time in milliseconds after which a DNS query is abandoned,
+     * ending the check with "TempError".
+     */
+    queryTimeout?: number;
+    /**
+     * - Time in milliseconds after which a whole `check()` or
+     * `checkInclude()` is abandoned, ending it with "TempError".
+     */
+    deadline?: number;
+    /**
+     * - Signal aborting checks, ending them with "TempError".
+     */
+    signal?: AbortSignal;
+    /**
+     * - Domain given by the SMTP client in the HELO/EHLO command, used for
+     * null senders, "%{h}" macros and header fields.
+     */
+    helo?: string;
+    /**
+     * - Host name of the receiver doing the check, used in header
+     * fields and explanations.
+     */
+    receiver?: string;
+    /**
+     * - Attach to results the tree of records, mechanisms and DNS
+     * lookups that were evaluated.
+     */
+    trace?: boolean;
+    /**
+     * - SPF record of the checked domain to use instead of the published
+     * one, to check a record before publishing it.
+     */
+    record?: string;
+    /**
+     * - TXT records of any name to use instead
+     * of the published ones, like `{ 'example.com': 'v=spf1 include:_spf.example.com -all' }`.
+     */
+    records?: {
+        [x: string]: string | string[];
+    };
+    /**
+     * - Whether SPF (type 99)
+     * records are also looked up, to be used instead of TXT records when there are some
+     * ("prefer-spf"), or only to warn when they differ from TXT records ("compare"). Without a
+     * `resolveSpf` method of the resolver, only TXT records are used with a warning.
+     */
+    spfRecords?: "txt-only" | "prefer-spf" | "compare";
 };
 /**
  * @typedef ResultEnum
@@ -68,14 +270,92 @@ type SPFOptions = {
  * @type {ResultEnum} results
  */
 declare const results: ResultEnum;
+/**
+ * @typedef {Object} TraceQuery
+ * @property {string} name - Name looked up.
+ * @property {string} rrtype - Record type looked up.
+ * @property {any[]} [answer] - Records returned, if any.
+ * @property {string} [error] - Error code or message of a failed lookup.
+ * @property {number} duration - Time spent in milliseconds.
+ * @property {boolean} counted - Whether the lookup counted toward the DNS lookups limit.
+ */
+/**
+ * @typedef {Object} TraceRecord
+ * @property {string} domain - Domain of the record.
+ * @property {string} [record] - SPF record fetched, if any.
+ * @property {TraceQuery[]} queries - Lookups done to fetch the record.
+ * @property {TraceTerm[]} mechanisms - Mechanisms and "redirect" modifier of the record.
+ * @property {string} [result] - Result of the check, only on the root record.
+ * @property {{ domain: string, term: string }} [stoppedAt] - Term where evaluation stopped,
+ * only on the root record. The term is "default" when nothing matched.
+ */
+/**
+ * @typedef {Object} TraceTerm
+ * @property {string} term - Term as written in the record.
+ * @property {string} qualifier - Qualifier of the mechanism: "+", "-", "~" or "?".
+ * @property {string} type - Mechanism type, or "redirect".
+ * @property {boolean} evaluated - Whether the mechanism has been evaluated.
+ * @property {boolean} [matched] - Whether the mechanism matched, once evaluated.
+ * @property {string} [result] - Result of the included record, for "include", or of the target
+ * record, for "redirect".
+ * @property {TraceQuery[]} queries - Lookups done for the term.
+ * @property {TraceRecord} [target] - Record resolved by "include" or "redirect".
+ * @property {string[]} [loop] - Domains from the record this term leads back to, to
+ * this term's target, when "include" and "redirect" terms loop.
+ */
+/**
+ * @typedef {Object} DNSResolver
+ * Records may come with their TTL, used by the `cache`: `{ address, ttl }` for
+ * address lookups (as `dns.promises.Resolver` does with the `ttl` option), `{ entries,
+ * ttl }` for TXT and SPF records, `{ exchange, priority, ttl }` for MX records and
+ * `{ value, ttl }` for PTR records.
+ * @property {function(string): Promise<string[][]>} resolveTxt
+ * @property {function(string): Promise<string[]>} resolve4
+ * @property {function(string): Promise<string[]>} resolve6
+ * @property {function(string): Promise<{exchange: string, priority: number}[]>} resolveMx
+ * @property {function(string): Promise<string[]>} reverse
+ * @property {function(string): Promise<string[][]>} [resolveSpf] - Lookup of SPF (type 99)
+ * records, only needed by the `spfRecords` option as `dns.promises.Resolver` cannot do it.
+ */
 /**
  * @typedef {Object} SPFOptions
  * @property {number} [version=1] - SPF version, conforms to https://tools.ietf.org/html/rfc4408
  * @property {boolean} [prefetch=false] - Resolve all mechanisms before evaluating them.
  * This will cause many DNS queries to be made and possible hit the 10 queries hard limit.
- * Note that "redirect" mechanisms always resolve first no matter the value of this option.
+ * Otherwise the "redirect" modifier is only resolved when no mechanism matched.
  * @property {number} [maxDNS=10] - Hard limit on the number of DNS lookups, including any lookups
  * caused by the use of the "include" mechanism or the "redirect" modifier.
+ * @property {number} [maxVoidLookups=2] - Hard limit on the number of DNS lookups that return
+ * either "domain does not exist" or no answers.
+ * @property {number} [maxMXNames=10] - Hard limit on the number of names returned by the MX
+ * lookup of the "mx" mechanism.
+ * @property {number} [maxPTRNames=10] - Number of names returned by the reverse lookup of the
+ * "ptr" mechanism that are checked, others are ignored.
+ * @property {DNSResolver} [resolver] - Resolver used for all DNS lookups, like a
+ * `dns.promises.Resolver` set up with specific servers.
+ * @property {DNSCache} [cache] - Cache of DNS answers, that can be shared by many checks.
+ * Cached answers still count toward the DNS lookups limit. Answers are kept for their TTL
+ * when the resolver tells it, for the `defaultTTL` of the cache otherwise, which is the case
+ * of TXT and MX answers from `dns.promises.Resolver`.
+ * @property {number} [queryTimeout] - Time in milliseconds after which a DNS query is abandoned,
+ * ending the check with "TempError".
+ * @property {number} [deadline] - Time in milliseconds after which a whole `check()` or
+ * `checkInclude()` is abandoned, ending it with "TempError".
+ * @property {AbortSignal} [signal] - Signal aborting checks, ending them with "TempError".
+ * @property {string} [helo] - Domain given by the SMTP client in the HELO/EHLO command, used for
+ * null senders, "%{h}" macros and header fields.
+ * @property {string} [receiver] - Host name of the receiver doing the check, used in header
+ * fields and explanations.
+ * @property {boolean} [trace=false] - Attach to results the tree of records, mechanisms and DNS
+ * lookups that were evaluated.
+ * @property {string} [record] - SPF record of the checked domain to use instead of the published
+ * one, to check a record before publishing it.
+ * @property {Object<string, string|string[]>} [records] - TXT records of any name to use instead
+ * of the published ones, like `{ 'example.com': 'v=spf1 include:_spf.example.com -all' }`.
+ * @property {"txt-only"|"prefer-spf"|"compare"} [spfRecords="txt-only"] - Whether SPF (type 99)
+ * records are also looked up, to be used instead of TXT records when there are some
+ * ("prefer-spf"), or only to warn when they differ from TXT records ("compare"). Without a
+ * `resolveSpf` method of the resolver, only TXT records are used with a warning.
  */
 declare class SPF {
     /**
@@ -86,8 +366,21 @@ declare class SPF {
     constructor(domain: string, sender?: string, options?: SPFOptions);
     domain: any;
     sender: any;
+    /** Warnings and lookup counts of the last check that ended. */
     warnings: any[];
     queryDNSCount: number;
+    voidLookupCount: number;
+    /** Client IP address of the check in progress, used to expand
+     *  macros. Set on the context of each check, see `newContext()`. */
+    addr: ipaddr.IPv4 | ipaddr.IPv6;
+    /** Cache of the answers shared by the checks of `checkMany()`, when
+     *  no cache is given in the options.
+     *  @type {DNSCache|undefined} */
+    batchCache: DNSCache | undefined;
+    /** Time by which the check in progress must end, in milliseconds
+     *  since the epoch, if it has a deadline.
+     *  @type {number|undefined} */
+    deadlineAt: number | undefined;
     options: {
         /**
          * - SPF version, conforms to https://tools.ietf.org/html/rfc4408
@@ -96,7 +389,7 @@ declare class SPF {
         /**
          * - Resolve all mechanisms before evaluating them.
          * This will cause many DNS queries to be made and possible hit the 10 queries hard limit.
-         * Note that "redirect" mechanisms always resolve first no matter the value of this option.
+         * Otherwise the "redirect" modifier is only resolved when no mechanism matched.
          */
         prefetch: boolean;
         /**
@@ -104,27 +397,306 @@ declare class SPF {
          * caused by the use of the "include" mechanism or the "redirect" modifier.
          */
         maxDNS: number;
+        /**
+         * - Hard limit on the number of DNS lookups that return
+         * either "domain does not exist" or no answers.
+         */
+        maxVoidLookups: number;
+        /**
+         * - Hard limit on the number of names returned by the MX
+         * lookup of the "mx" mechanism.
+         */
+        maxMXNames: number;
+        /**
+         * - Number of names returned by the reverse lookup of the
+         * "ptr" mechanism that are checked, others are ignored.
+         */
+        maxPTRNames: number;
+        /**
+         * - Resolver used for all DNS lookups, like a
+         * `dns.promises.Resolver` set up with specific servers.
+         */
+        resolver: DNSResolver | dns.promises.Resolver;
+        /**
+         * - Cache of DNS answers, that can be shared by many checks.
+         * Cached answers still count toward the DNS lookups limit. Answers are kept for their TTL
+         * when the resolver tells it, for the `defaultTTL` of the cache otherwise, which is the case
+         * of TXT and MX answers from `dns.promises.Resolver`.
+         */
+        cache: DNSCache;
+        /**
+         * - Time in milliseconds after which a DNS query is abandoned,
+         * ending the check with "TempError".
+         */
+        queryTimeout: number;
+        /**
+         * - Time in milliseconds after which a whole `check()` or
+         * `checkInclude()` is abandoned, ending it with "TempError".
+         */
+        deadline: number;
+        /**
+         * - Signal aborting checks, ending them with "TempError".
+         */
+        signal: AbortSignal;
+        /**
+         * - Domain given by the SMTP client in the HELO/EHLO command, used for
+         * null senders, "%{h}" macros and header fields.
+         */
+        helo: string;
+        /**
+         * - Host name of the receiver doing the check, used in header
+         * fields and explanations.
+         */
+        receiver: string;
+        /**
+         * - Attach to results the tree of records, mechanisms and DNS
+         * lookups that were evaluated.
+         */
+        trace: boolean;
+        /**
+         * - SPF record of the checked domain to use instead of the published
+         * one, to check a record before publishing it.
+         */
+        record: string;
+        /**
+         * - TXT records of any name to use instead
+         * of the published ones, like `{ 'example.com': 'v=spf1 include:_spf.example.com -all' }`.
+         */
+        records: {
+            [x: string]: string | string[];
+        };
+        /**
+         * - Whether SPF (type 99)
+         * records are also looked up, to be used instead of TXT records when there are some
+         * ("prefer-spf"), or only to warn when they differ from TXT records ("compare"). Without a
+         * `resolveSpf` method of the resolver, only TXT records are used with a warning.
+         */
+        spfRecords: string;
     };
+    /** Records supplied in the options, by lowercase name. */
+    suppliedRecords: Map<any, any>;
+    /**
+     * Expands the macros of a macro-string in the context of the check in
+     * progress.
+     *
+     * @param {string} macroString
+     * @param {string} domain - Domain of the record being evaluated, "%{d}".
+     * @param {boolean} [explanation=false] - Expand as an explanation string.
+     * @returns {Promise<string>}
+     */
+    expand(macroString: string, domain: string, explanation?: boolean): Promise<string>;
+    /**
+     * Expands a domain-spec, truncating the result from the left to fit a
+     * domain name.
+     *
+     * @param {string} domainSpec
+     * @param {string} domain - Domain of the record being evaluated, "%{d}".
+     * @returns {Promise<string>}
+     */
+    expandDomain(domainSpec: string, domain: string): Promise<string>;
+    /**
+     * Returns the validated host names of an address: names found by a
+     * reverse lookup that resolve back to the same address.
+     *
+     * @param {ipaddr.IPv4|ipaddr.IPv6} addr
+     * @param {boolean} [lookupLimit=true] - Count the reverse lookup toward the limit.
+     * @returns {Promise<string[]>}
+     */
+    resolvePTR(addr: ipaddr.IPv4 | ipaddr.IPv6, lookupLimit?: boolean): Promise<string[]>;
+    /**
+     * Returns the validated host name used for the "%{p}" macro, preferring
+     * the domain itself, then any of its subdomains, then any other name.
+     *
+     * @param {string} domain
+     * @returns {Promise<string>}
+     */
+    validatedDomain(domain: string): Promise<string>;
     resolveMX(hostname: any, rrtype: any): Promise<any>;
+    /**
+     * @private
+     * @throws {SPFResult} PermError when the limit of DNS lookups is reached.
+     */
+    private checkLookupLimit;
     resolveDNS(hostname: any, rrtype: any, lookupLimit: any): Promise<any>;
-    resolveSPF(hostname: any, rrtype: any): any;
-    getMechanisms(rrtype: any): Promise<any>;
-    check(ip: any): Promise<SPFResult>;
-    evaluate(mechanisms: any, addr: any): Promise<SPFResult>;
     /**
-     * Check if the instance domain includes requiredDomain in its SPF records
+     * Looks up records from the cache, if any, then from the resolver.
+     *
+     * @private
+     * @param {string} hostname
+     * @param {string} rrtype
+     * @returns {Promise<any[]>}
+     */
+    private query;
+    /**
+     * Fails with an "ETIMEOUT" error when the deadline of the check is
+     * reached or the signal aborted, before a query.
+     *
+     * @private
+     * @param {string} hostname
+     * @param {string} rrtype
+     */
+    private checkInterrupted;
+    /**
+     * Calls the resolver, failing with an "ETIMEOUT" error when the query
+     * timeout or the deadline of the check is reached, or the signal aborts.
+     *
+     * @private
+     * @param {string} hostname
+     * @param {string} rrtype
+     * @param {Object} [options] - Options of the resolver method.
+     * @returns {Promise<any[]>}
+     */
+    private callResolver;
+    /**
+     * Tells whether a TXT record is an SPF record of the checked version.
+     * Records that do not begin with a version section followed by terms are
+     * discarded.
+     *
+     * @param {string} record
+     * @returns {boolean}
+     */
+    isRecord(record: string): boolean;
+    /**
+     * Fetches the SPF records of a domain from its TXT records, and from its
+     * SPF (type 99) records as set by the `spfRecords` option. Lookups of SPF
+     * records do not count toward the limits, as they are done along with
+     * the TXT lookup.
+     *
+     * @private
+     * @param {string} hostname
+     * @returns {Promise<string[]>}
+     */
+    private fetchRecords;
+    /**
+     * @param {string} hostname
+     * @param {string} rrtype - Type of the address lookups, "A" or "AAAA".
+     * @param {string[]} [chain] - Domains of the records leading to this one,
+     * through "include" and "redirect" terms.
+     * @returns {Promise<Object[]>} Resolved mechanisms.
+     */
+    resolveSPF(hostname: string, rrtype: string, chain?: string[]): Promise<any[]>;
+    trace: {
+        domain: string;
+        record: any;
+        queries: any[];
+        mechanisms: any[];
+    };
+    traceNode: any;
+    getMechanisms(rrtype: any): Promise<any[]>;
+    /**
+     * Returns the state of a new check, so checks of the instance can run
+     * concurrently without sharing lookup counts, client address, deadline or
+     * trace. Methods called on it are those of the instance.
+     *
+     * @private
+     * @param {DNSCache} [batchCache] - Cache of the answers shared by the
+     * checks of `checkMany()`.
+     * @returns {SPF}
+     */
+    private newContext;
+    /**
+     * @param {string} ip - IP address of the SMTP client.
+     * @returns {Promise<SPFResult>}
+     */
+    check(ip: string): Promise<SPFResult>;
+    /**
+     * Runs a check in its own context, see `newContext()`.
+     *
+     * @private
+     * @param {SPF} context
+     * @param {string} ip
+     * @returns {Promise<SPFResult>}
+     */
+    private checkContext;
+    /**
+     * Checks many client IP addresses against the domain, one after the
+     * other. The policy and the answers of "a" and "mx" mechanisms are only
+     * looked up once for all of them, while lookup limits still apply to
+     * each check.
+     *
+     * @param {string[]} ips - IP addresses of the SMTP clients.
+     * @returns {Promise<SPFResult[]>} Results in the order of the addresses.
+     */
+    checkMany(ips: string[]): Promise<SPFResult[]>;
+    /**
+     * Checks the HELO identity as described in RFC 7208 section 2.3, that
+     * is the record of the HELO/EHLO domain with "postmaster" as sender.
+     *
+     * @param {string} ip - IP address of the SMTP client.
+     * @param {string} [helo] - Domain given in the HELO/EHLO command, defaults
+     * to the `helo` option.
+     * @returns {Promise<SPFResult>}
+     */
+    checkHelo(ip: string, helo?: string): Promise<SPFResult>;
+    /**
+     * @private
+     * @param {string} ip
+     * @returns {Promise<SPFResult>}
+     */
+    private checkHost;
+    /**
+     * @param mechanisms
+     * @param addr
+     * @param {boolean} [included=false] - Whether the mechanisms come from an
+     * "include", whose results are not final.
+     * @returns {Promise<SPFResult>}
+     */
+    evaluate(mechanisms: any, addr: any, included?: boolean): Promise<SPFResult>;
+    lastMechanism: any;
+    /**
+     * Fetches the explanation string pointed by an "exp" modifier and expands
+     * its macros. Any failure results in no explanation rather than changing
+     * the result of the check, unless the check is interrupted.
+     *
+     * @param {string} domainSpec - Value of the "exp" modifier.
+     * @param {string} domain - Domain of the record with the modifier.
+     * @returns {Promise<string|undefined>}
+     */
+    explain(domainSpec: string, domain: string): Promise<string | undefined>;
+    /**
+     * Check if the instance domain includes requiredDomain in its SPF records,
+     * following "include" and "redirect" terms in the order of evaluation,
+     * with the same DNS lookup limits as `check()`. The result is the one
+     * given to addresses authorized by the required domain, with the `chain`
+     * of domains leading to it and the `qualifier` in effect. It is "Fail"
+     * when the required domain is not found or would not be reached.
+     *
      * @param {string} requiredDomain domain to check it is included
      * @returns {Promise<SPFResult>}
      */
     checkInclude(requiredDomain: string): Promise<SPFResult>;
     /**
      * @private
-     * @param mechanisms
-     * @param domain
-     * @param {any[]} [includeMechanisms=[]]
+     * @param {string} requiredDomain
      * @returns {Promise<SPFResult>}
      */
+    private checkIncludeHost;
+    /**
+     * Looks for the required domain of `checkInclude()` in resolved
+     * mechanisms, resolving the records of includes on the way.
+     *
+     * @private
+     * @param {Object[]} mechanisms
+     * @param {{ domain: string, missed: SPFResult|undefined }} search
+     * @param {string[]} chain - Domains leading to the record of the mechanisms.
+     * @param {Object[]} includes - "include" mechanisms leading to the record.
+     * @param {string[]} matched - Types of the terms leading to the record.
+     * @returns {Promise<SPFResult|undefined>} Result when the domain is found
+     * and reached.
+     */
     private evaluateInclude;
+    /**
+     * Returns the result of `checkInclude()` once the required domain is
+     * found, or keeps why it does not authorize it and continues the search.
+     *
+     * @private
+     * @param {{ domain: string, missed: SPFResult|undefined }} search
+     * @param {string[]} chain - Domains leading to the required domain.
+     * @param {Object[]} includes - "include" mechanisms leading to it.
+     * @param {string[]} matched - Types of the terms leading to it.
+     * @returns {SPFResult|undefined}
+     */
+    private includeFound;
     match(mechanism: any, addr: any): any;
 }
 declare class SPFResult {
@@ -148,5 +720,63 @@ declare class SPFResult {
     mechanism: string;
     /** List of all matched mechanisms (order from last to first). */
     matched: any[];
+    /** Domains of the records reached through "redirect" modifiers, in
+     *  the order they were followed. */
+    redirects: any[];
+    /** Explanation published by the domain owner through the "exp"
+     *  modifier, only set on "Fail" results. */
+    explanation: any;
+    /** Identity that was checked, "mailfrom" or "helo". Set by
+     *  `SPF.check()` along with the other header field values. */
+    identity: any;
+    /** IP address of the SMTP client. */
+    clientIp: any;
+    /** Reverse-path of the message, "MAIL FROM" identity. */
+    envelopeFrom: any;
+    /** Domain given by the SMTP client in the HELO/EHLO command. */
+    helo: any;
+    /** Host name of the receiver doing the check. */
+    receiver: any;
+    /** Evaluation tree, set by `SPF.check()` with the `trace` option.
+     *  @type {TraceRecord|undefined} */
+    trace: TraceRecord | undefined;
+    /** Domains from the checked one to the required domain, set by
+     *  `SPF.checkInclude()` when it is found. */
+    chain: any;
+    /** Qualifier in effect for the required domain, set by
+     *  `SPF.checkInclude()` when it is found. */
+    qualifier: any;
+    /** Whether a "TempError" comes from the `queryTimeout`, `deadline`
+     *  or `signal` option rather than from a failed lookup. */
+    interrupted: boolean;
+    /**
+     * Returns a "Received-SPF" header field as described in RFC 7208 section
+     * 9.1, without trailing line break.
+     *
+     * @returns {string}
+     */
+    toReceivedSPF(): string;
+    /**
+     * Returns the "spf" method clause of an "Authentication-Results" header
+     * field as described in RFC 8601, like "spf=pass smtp.mailfrom=...".
+     *
+     * @returns {string}
+     */
+    toAuthenticationResultsClause(): string;
+    /**
+     * Returns an "Authentication-Results" header field as described in RFC
+     * 8601 with only the "spf" method, without trailing line break.
+     *
+     * @param {string} [authservId] - Authentication service identifier,
+     * defaults to the receiver.
+     * @returns {string}
+     */
+    toAuthenticationResults(authservId?: string): string;
+    /** @private */
+    private authenticationResultsTokens;
 }
+import DNSCache = require("./lib/cache");
+import ZoneResolver = require("./lib/zone");
+import ipaddr = require("ipaddr.js");
+import dns = require("dns");
 //# sourceMappingURL=index.d.ts.map
\ No newline at end of file
@@ -0,0 +1,123 @@
+export = DNSCache;
+/**
+ * @typedef {Object} DNSCacheOptions
+ * @property {number} [minTTL=0] - Minimum time in seconds an answer is kept.
+ * @property {number} [maxTTL=3600] - Maximum time in seconds an answer is kept,
+ * no matter its TTL.
+ * @property {number} [defaultTTL=300] - Time in seconds an answer is kept when
+ * its TTL is not known, like TXT and MX answers from `dns.promises.Resolver`.
+ * @property {number} [negativeTTL=60] - Time in seconds "domain does not exist"
+ * and "no data" answers are kept.
+ * @property {number} [maxEntries=10000] - Number of answers kept before the
+ * oldest ones are dropped.
+ */
+/**
+ * Cache of DNS answers that can be shared by many `SPF` instances through the
+ * `cache` option. Temporary errors are never cached.
+ *
+ * Answers are kept for their TTL when the resolver tells it. As
+ * `dns.promises.Resolver` only does for address answers, its TXT and MX
+ * answers, like the records of includes, are kept for `defaultTTL`.
+ */
+declare class DNSCache {
+    /**
+     * @param {DNSCacheOptions} [options]
+     */
+    constructor(options?: DNSCacheOptions);
+    options: {
+        /**
+         * - Minimum time in seconds an answer is kept.
+         */
+        minTTL: number;
+        /**
+         * - Maximum time in seconds an answer is kept,
+         * no matter its TTL.
+         */
+        maxTTL: number;
+        /**
+         * - Time in seconds an answer is kept when
+         * its TTL is not known, like TXT and MX answers from `dns.promises.Resolver`.
+         */
+        defaultTTL: number;
+        /**
+         * - Time in seconds "domain does not exist"
+         * and "no data" answers are kept.
+         */
+        negativeTTL: number;
+        /**
+         * - Number of answers kept before the
+         * oldest ones are dropped.
+         */
+        maxEntries: number;
+    };
+    /** @private */
+    private entries;
+    /**
+     * Returns the cached answer for a lookup, if not expired. It either has
+     * `records` or the `error` of a negative answer.
+     *
+     * @param {string} rrtype
+     * @param {string} hostname
+     * @returns {{ records: any[] }|{ error: Error }|undefined}
+     */
+    get(rrtype: string, hostname: string): {
+        records: any[];
+    } | {
+        error: Error;
+    } | undefined;
+    /**
+     * Caches the records of a lookup.
+     *
+     * @param {string} rrtype
+     * @param {string} hostname
+     * @param {any[]} records
+     * @param {number} [ttl] - TTL in seconds of the answer, if known.
+     */
+    set(rrtype: string, hostname: string, records: any[], ttl?: number): void;
+    /**
+     * Caches a "domain does not exist" or "no data" answer.
+     *
+     * @param {string} rrtype
+     * @param {string} hostname
+     * @param {Error} error - Error rejected by the resolver.
+     */
+    setNegative(rrtype: string, hostname: string, error: Error): void;
+    /**
+     * Drops all cached answers.
+     */
+    clear(): void;
+    /** @private */
+    private store;
+    /** @private */
+    private key;
+}
+declare namespace DNSCache {
+    export { DNSCacheOptions };
+}
+type DNSCacheOptions = {
+    /**
+     * - Minimum time in seconds an answer is kept.
+     */
+    minTTL?: number;
+    /**
+     * - Maximum time in seconds an answer is kept,
+     * no matter its TTL.
+     */
+    maxTTL?: number;
+    /**
+     * - Time in seconds an answer is kept when
+     * its TTL is not known, like TXT and MX answers from `dns.promises.Resolver`.
+     */
+    defaultTTL?: number;
+    /**
+     * - Time in seconds "domain does not exist"
+     * and "no data" answers are kept.
+     */
+    negativeTTL?: number;
+    /**
+     * - Number of answers kept before the
+     * oldest ones are dropped.
+     */
+    maxEntries?: number;
+};
+//# sourceMappingURL=cache.d.ts.map
\ No newline at end of file
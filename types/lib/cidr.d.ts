@@ -0,0 +1,69 @@
+export type Network = {
+    /**
+     * - First address of the network.
+     */
+    addr: ipaddr.IPv4 | ipaddr.IPv6;
+    /**
+     * - CIDR length.
+     */
+    bits: number;
+};
+/**
+ * @typedef {Object} Network
+ * @property {ipaddr.IPv4|ipaddr.IPv6} addr - First address of the network.
+ * @property {number} bits - CIDR length.
+ */
+/**
+ * Returns the network of an address with the given CIDR length, clearing the
+ * bits of the host part.
+ *
+ * @param {ipaddr.IPv4|ipaddr.IPv6} addr
+ * @param {number} bits
+ * @returns {Network}
+ */
+export function network(addr: ipaddr.IPv4 | ipaddr.IPv6, bits: number): Network;
+/**
+ * Checks if a network contains another one, or is the same.
+ *
+ * @param {Network} outer
+ * @param {Network} inner
+ * @returns {boolean}
+ */
+export function contains(outer: Network, inner: Network): boolean;
+/**
+ * Checks if two networks have any address in common. As CIDR networks either
+ * contain each other or do not overlap, this is the case when one of them
+ * contains the other.
+ *
+ * @param {Network} a
+ * @param {Network} b
+ * @returns {boolean}
+ */
+export function overlaps(a: Network, b: Network): boolean;
+/**
+ * Orders networks by kind, IPv4 first, then by address and CIDR length.
+ *
+ * @param {Network} a
+ * @param {Network} b
+ * @returns {number}
+ */
+export function compare(a: Network, b: Network): number;
+/**
+ * Merges networks of the same kind, dropping the ones contained in others and
+ * joining adjacent halves of a larger network, until no more can be merged.
+ *
+ * @param {Network[]} networks
+ * @returns {Network[]} Sorted networks.
+ */
+export function merge(networks: Network[]): Network[];
+/**
+ * Returns the "ip4" or "ip6" term of a network, without the CIDR length when
+ * it is a single address.
+ *
+ * @param {Network} entry
+ * @param {string} [qualifier="+"]
+ * @returns {string}
+ */
+export function format(entry: Network, qualifier?: string): string;
+import ipaddr = require("ipaddr.js");
+//# sourceMappingURL=cidr.d.ts.map
\ No newline at end of file
@@ -0,0 +1,81 @@
+export = dmarc;
+/**
+ * Checks SPF for a message and whether it counts for DMARC, as described in
+ * RFC 7489 section 3.1.2: SPF has to pass for a domain aligned with the
+ * domain of the RFC5322.From header field, under the "aspf" mode of the DMARC
+ * policy of the From domain.
+ *
+ * @param {string} ip - IP address of the SMTP client.
+ * @param {string} sender - MAIL FROM address, "<>" or an empty string for null senders.
+ * @param {string} fromDomain - Domain of the RFC5322.From header field.
+ * @param {import('../index').SPFOptions} [options] - Options of the check, with `helo`
+ * for null senders.
+ * @returns {Promise<DMARCAlignment>}
+ */
+declare function dmarc(ip: string, sender: string, fromDomain: string, options?: import('../index').SPFOptions): Promise<DMARCAlignment>;
+declare namespace dmarc {
+    export { DMARCPolicy, DMARCAlignment };
+}
+type DMARCAlignment = {
+    /**
+     * - Result of the SPF check.
+     */
+    spf: import('../index').SPFResult;
+    /**
+     * - Domain authenticated by SPF, of the MAIL FROM identity or
+     * of the HELO identity for null senders.
+     */
+    domain: string;
+    /**
+     * - Domain of the RFC5322.From header field.
+     */
+    fromDomain: string;
+    /**
+     * - Organizational domain of `fromDomain`.
+     */
+    organizationalDomain: string;
+    /**
+     * - DMARC policy of `fromDomain`, if any.
+     */
+    policy: DMARCPolicy | null;
+    /**
+     * - Why the DMARC record could not be fetched, if so.
+     */
+    policyError?: string;
+    /**
+     * - SPF alignment mode applied, "strict" or "relaxed".
+     */
+    mode: string;
+    /**
+     * - Whether SPF passes for a domain aligned with `fromDomain`.
+     */
+    aligned: boolean;
+};
+type DMARCPolicy = {
+    /**
+     * - Domain of the "_dmarc" record, the From domain or its
+     * organizational domain.
+     */
+    domain: string;
+    /**
+     * - DMARC record as fetched.
+     */
+    record: string;
+    /**
+     * - Policy of the domain: "none", "quarantine" or "reject".
+     */
+    p: string;
+    /**
+     * - Policy of subdomains, "p" when not set.
+     */
+    sp: string;
+    /**
+     * - Percentage of messages the policy applies to.
+     */
+    pct: number;
+    /**
+     * - SPF alignment mode, "r" for relaxed or "s" for strict.
+     */
+    aspf: string;
+};
+//# sourceMappingURL=dmarc.d.ts.map
\ No newline at end of file
@@ -0,0 +1,82 @@
+export = flatten;
+/**
+ * @typedef {Object} FlattenOptions
+ * @property {number} [maxLength=450] - Maximum size in bytes of each record, so answers
+ * fit in a 512 bytes UDP packet.
+ * @property {string} [prefix="_spf"] - Prefix of the names of chained records, like
+ * "_spf1.example.com".
+ */
+/**
+ * @typedef {Object} FlattenRecord
+ * @property {string} name - Name of the TXT record.
+ * @property {string} value - Record as read back from DNS.
+ * @property {string[]} strings - Strings of at most 255 characters to publish.
+ */
+/**
+ * @typedef {Object} FlattenResult
+ * @property {string} domain
+ * @property {FlattenRecord[]} records - Record of the domain first, then chained records.
+ * @property {{ term: string, domain: string, reason: string }[]} kept - Terms published
+ * as they are as they cannot be flattened.
+ * @property {string[]} warnings - Changes of behaviour to review before publishing.
+ */
+/**
+ * Builds records with the same policy as the records of a domain, where
+ * includes, "a" and "mx" mechanisms are replaced by the addresses they
+ * resolve to. Lookup limits do not apply while flattening.
+ *
+ * @param {string} domain
+ * @param {import('../index').SPFOptions & FlattenOptions} [options]
+ * @returns {Promise<FlattenResult>}
+ */
+declare function flatten(domain: string, options?: import('../index').SPFOptions & FlattenOptions): Promise<FlattenResult>;
+declare namespace flatten {
+    export { FlattenOptions, FlattenRecord, FlattenResult };
+}
+type FlattenOptions = {
+    /**
+     * - Maximum size in bytes of each record, so answers
+     * fit in a 512 bytes UDP packet.
+     */
+    maxLength?: number;
+    /**
+     * - Prefix of the names of chained records, like
+     * "_spf1.example.com".
+     */
+    prefix?: string;
+};
+type FlattenResult = {
+    domain: string;
+    /**
+     * - Record of the domain first, then chained records.
+     */
+    records: FlattenRecord[];
+    /**
+     * - Terms published
+     * as they are as they cannot be flattened.
+     */
+    kept: {
+        term: string;
+        domain: string;
+        reason: string;
+    }[];
+    /**
+     * - Changes of behaviour to review before publishing.
+     */
+    warnings: string[];
+};
+type FlattenRecord = {
+    /**
+     * - Name of the TXT record.
+     */
+    name: string;
+    /**
+     * - Record as read back from DNS.
+     */
+    value: string;
+    /**
+     * - Strings of at most 255 characters to publish.
+     */
+    strings: string[];
+};
+//# sourceMappingURL=flatten.d.ts.map
\ No newline at end of file
@@ -0,0 +1,112 @@
+export = lint;
+/**
+ * @typedef {Object} LintFinding
+ * @property {string} code - Stable code of the finding, like "LOOKUP_LIMIT".
+ * @property {string} severity - "error", "warning" or "info".
+ * @property {string} domain - Domain of the record the finding is about.
+ * @property {string} [term] - Term the finding is about, if any.
+ * @property {string} message
+ */
+/**
+ * @typedef {Object} LintNode
+ * @property {string} domain - Domain of the record.
+ * @property {string} [term] - "include" or "redirect" term leading to the record, none for the root.
+ * @property {string} [record] - SPF record fetched, if any.
+ * @property {number} lookups - DNS lookups counted for this branch, including the term leading to it.
+ * @property {number} voidLookups - Void lookups of this branch.
+ * @property {LintNode[]} children - Records of the "include" and "redirect" terms.
+ */
+/**
+ * @typedef {Object} LintReport
+ * @property {string} domain - Domain linted.
+ * @property {boolean} valid - Whether there are no findings with the "error" severity.
+ * @property {{ total: number, limit: number }} lookups - DNS lookups of the whole tree.
+ * @property {{ total: number, limit: number }} voidLookups - Void lookups of the whole tree.
+ * @property {LintFinding[]} findings
+ * @property {LintNode} tree
+ */
+/**
+ * Walks the whole include/redirect tree of a domain and reports the problems
+ * found in its records. Unlike a check, it does not stop at the first error.
+ *
+ * @param {string} domain
+ * @param {import('../index').SPFOptions} [options] - Options like `resolver`,
+ * `cache`, `maxDNS` and `maxVoidLookups` are used as for a check.
+ * @returns {Promise<LintReport>}
+ */
+declare function lint(domain: string, options?: import('../index').SPFOptions): Promise<LintReport>;
+declare namespace lint {
+    export { LintFinding, LintNode, LintReport };
+}
+type LintReport = {
+    /**
+     * - Domain linted.
+     */
+    domain: string;
+    /**
+     * - Whether there are no findings with the "error" severity.
+     */
+    valid: boolean;
+    /**
+     * - DNS lookups of the whole tree.
+     */
+    lookups: {
+        total: number;
+        limit: number;
+    };
+    /**
+     * - Void lookups of the whole tree.
+     */
+    voidLookups: {
+        total: number;
+        limit: number;
+    };
+    findings: LintFinding[];
+    tree: LintNode;
+};
+type LintFinding = {
+    /**
+     * - Stable code of the finding, like "LOOKUP_LIMIT".
+     */
+    code: string;
+    /**
+     * - "error", "warning" or "info".
+     */
+    severity: string;
+    /**
+     * - Domain of the record the finding is about.
+     */
+    domain: string;
+    /**
+     * - Term the finding is about, if any.
+     */
+    term?: string;
+    message: string;
+};
+type LintNode = {
+    /**
+     * - Domain of the record.
+     */
+    domain: string;
+    /**
+     * - "include" or "redirect" term leading to the record, none for the root.
+     */
+    term?: string;
+    /**
+     * - SPF record fetched, if any.
+     */
+    record?: string;
+    /**
+     * - DNS lookups counted for this branch, including the term leading to it.
+     */
+    lookups: number;
+    /**
+     * - Void lookups of this branch.
+     */
+    voidLookups: number;
+    /**
+     * - Records of the "include" and "redirect" terms.
+     */
+    children: LintNode[];
+};
+//# sourceMappingURL=lint.d.ts.map
\ No newline at end of file
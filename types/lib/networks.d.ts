@@ -0,0 +1,97 @@
+export = networks;
+/**
+ * @typedef {Object} AuthorizedNetwork
+ * @property {string} network - Network in CIDR notation, like "192.0.2.0/24".
+ * @property {string} kind - "ipv4" or "ipv6".
+ * @property {number} bits - CIDR length of the network.
+ * @property {string} qualifier - Qualifier of the term, "+", "-", "~" or "?".
+ * @property {string} term - Term the network comes from, like "mx" or "ip4:192.0.2.0/24".
+ * @property {string} domain - Domain of the record with the term.
+ * @property {string[]} chain - Domains from the domain enumerated to `domain`,
+ * through "include" and "redirect" terms.
+ */
+/**
+ * @typedef {Object} UnresolvedTerm
+ * @property {string} term - Term that cannot be enumerated.
+ * @property {string} domain - Domain of the record with the term.
+ * @property {string[]} chain - Domains from the domain enumerated to `domain`.
+ * @property {string} reason
+ */
+/**
+ * @typedef {Object} NetworksResult
+ * @property {string} domain
+ * @property {AuthorizedNetwork[]} networks - Networks in the order of the terms.
+ * @property {UnresolvedTerm[]} unresolved - Terms whose networks cannot be told.
+ */
+/**
+ * Lists the networks of every "ip4", "ip6", "a", "mx" and "all" term of the
+ * records of a domain, following includes and redirects. Terms of included
+ * records are listed with their own qualifier, while only their "Pass"
+ * results make the include match. Lookup limits do not apply.
+ *
+ * @param {string} domain
+ * @param {import('../index').SPFOptions} [options]
+ * @returns {Promise<NetworksResult>}
+ */
+declare function networks(domain: string, options?: import('../index').SPFOptions): Promise<NetworksResult>;
+declare namespace networks {
+    export { AuthorizedNetwork, UnresolvedTerm, NetworksResult };
+}
+type NetworksResult = {
+    domain: string;
+    /**
+     * - Networks in the order of the terms.
+     */
+    networks: AuthorizedNetwork[];
+    /**
+     * - Terms whose networks cannot be told.
+     */
+    unresolved: UnresolvedTerm[];
+};
+type AuthorizedNetwork = {
+    /**
+     * - Network in CIDR notation, like "192.0.2.0/24".
+     */
+    network: string;
+    /**
+     * - "ipv4" or "ipv6".
+     */
+    kind: string;
+    /**
+     * - CIDR length of the network.
+     */
+    bits: number;
+    /**
+     * - Qualifier of the term, "+", "-", "~" or "?".
+     */
+    qualifier: string;
+    /**
+     * - Term the network comes from, like "mx" or "ip4:192.0.2.0/24".
+     */
+    term: string;
+    /**
+     * - Domain of the record with the term.
+     */
+    domain: string;
+    /**
+     * - Domains from the domain enumerated to `domain`,
+     * through "include" and "redirect" terms.
+     */
+    chain: string[];
+};
+type UnresolvedTerm = {
+    /**
+     * - Term that cannot be enumerated.
+     */
+    term: string;
+    /**
+     * - Domain of the record with the term.
+     */
+    domain: string;
+    /**
+     * - Domains from the domain enumerated to `domain`.
+     */
+    chain: string[];
+    reason: string;
+};
+//# sourceMappingURL=networks.d.ts.map
\ No newline at end of file
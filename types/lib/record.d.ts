@@ -0,0 +1,10 @@
+export = parseRecord;
+/**
+ * Parses a record with `spf-parse`, accepting macro-strings where it only
+ * accepts host names (e.g. "a:%{d}").
+ *
+ * @param {string} record
+ * @returns {Object}
+ */
+declare function parseRecord(record: string): any;
+//# sourceMappingURL=record.d.ts.map
\ No newline at end of file
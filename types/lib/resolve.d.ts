@@ -0,0 +1,52 @@
+export type ResolvedTree = {
+    /**
+     * - Mechanisms of the record resolved for IPv4 clients.
+     */
+    mechanisms: any[];
+    /**
+     * - Same mechanisms resolved for IPv6 clients, that
+     * only differ by the addresses of "a" and "mx" mechanisms.
+     */
+    mechanisms6: any[];
+};
+/** Networks matching any address, those of "all" mechanisms. */
+export const anyNetworks: {
+    addr: ipaddr.IPv4 | ipaddr.IPv6;
+    bits: number;
+}[];
+/**
+ * @typedef {Object} ResolvedTree
+ * @property {Object[]} mechanisms - Mechanisms of the record resolved for IPv4 clients.
+ * @property {Object[]} mechanisms6 - Same mechanisms resolved for IPv6 clients, that
+ * only differ by the addresses of "a" and "mx" mechanisms.
+ */
+/**
+ * Resolves the record of a domain for both address types, to walk the whole
+ * tree of its includes and redirects. Lookup limits do not apply, and records
+ * are only fetched once for both address types.
+ *
+ * @param {string} domain
+ * @param {import('../index').SPFOptions} [options]
+ * @returns {Promise<ResolvedTree>}
+ */
+export function resolveTree(domain: string, options?: import('../index').SPFOptions): Promise<ResolvedTree>;
+/**
+ * Returns the networks of an "ip4", "ip6", "a" or "mx" mechanism, with the
+ * addresses of both address types for "a" and "mx".
+ *
+ * @param {Object} mechanism - Mechanism resolved for IPv4 clients.
+ * @param {Object} mechanism6 - Same mechanism resolved for IPv6 clients.
+ * @returns {Promise<import('./cidr').Network[]|undefined>} Nothing for other mechanisms.
+ */
+export function mechanismNetworks(mechanism: any, mechanism6: any): Promise<import('./cidr').Network[] | undefined>;
+/**
+ * Returns why a term of the tree could not be resolved, as failures of
+ * includes and lookups only affect their branch. Errors other than SPF
+ * results are thrown again.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+export function branchError(err: Error): string;
+import ipaddr = require("ipaddr.js");
+//# sourceMappingURL=resolve.d.ts.map
\ No newline at end of file
@@ -0,0 +1,139 @@
+export type SnapshotTerm = {
+    /**
+     * - Term as written in the record.
+     */
+    term: string;
+    /**
+     * - Sorted networks of "ip4", "ip6", "a" and "mx" terms,
+     * like "192.0.2.0/24".
+     */
+    networks?: string[];
+    /**
+     * - Record of "include" and "redirect" terms.
+     */
+    target?: SnapshotRecord;
+    /**
+     * - Why the term could not be resolved, if so.
+     */
+    error?: string;
+};
+export type SnapshotRecord = {
+    domain: string;
+    /**
+     * - SPF record as fetched.
+     */
+    record: string;
+    /**
+     * - Terms evaluated, in the order of the record.
+     */
+    terms: SnapshotTerm[];
+};
+export type Snapshot = {
+    domain: string;
+    /**
+     * - "all" term that applies to the domain, following redirects.
+     */
+    all: string | null;
+    /**
+     * - DNS lookups of the whole tree.
+     */
+    lookups: number;
+    /**
+     * - Sorted domains included anywhere in the tree.
+     */
+    includes: string[];
+    /**
+     * - Sorted networks of
+     * the whole tree with the qualifier of their term.
+     */
+    networks: {
+        network: string;
+        qualifier: string;
+    }[];
+    tree: SnapshotRecord;
+};
+export type SnapshotDiff = {
+    /**
+     * - Whether there is any difference below.
+     */
+    changed: boolean;
+    includes: {
+        added: string[];
+        removed: string[];
+    };
+    networks: {
+        added: string[];
+        removed: string[];
+    };
+    /**
+     * -
+     * Terms of the same record whose qualifier changed, written without qualifier.
+     */
+    qualifiers: {
+        domain: string;
+        term: string;
+        from: string;
+        to: string;
+    }[];
+    all: {
+        from: string | null;
+        to: string | null;
+    } | null;
+    lookups: {
+        from: number;
+        to: number;
+    } | null;
+};
+/**
+ * @typedef {Object} SnapshotTerm
+ * @property {string} term - Term as written in the record.
+ * @property {string[]} [networks] - Sorted networks of "ip4", "ip6", "a" and "mx" terms,
+ * like "192.0.2.0/24".
+ * @property {SnapshotRecord} [target] - Record of "include" and "redirect" terms.
+ * @property {string} [error] - Why the term could not be resolved, if so.
+ */
+/**
+ * @typedef {Object} SnapshotRecord
+ * @property {string} domain
+ * @property {string} record - SPF record as fetched.
+ * @property {SnapshotTerm[]} terms - Terms evaluated, in the order of the record.
+ */
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} domain
+ * @property {string|null} all - "all" term that applies to the domain, following redirects.
+ * @property {number} lookups - DNS lookups of the whole tree.
+ * @property {string[]} includes - Sorted domains included anywhere in the tree.
+ * @property {{ network: string, qualifier: string }[]} networks - Sorted networks of
+ * the whole tree with the qualifier of their term.
+ * @property {SnapshotRecord} tree
+ */
+/**
+ * @typedef {Object} SnapshotDiff
+ * @property {boolean} changed - Whether there is any difference below.
+ * @property {{ added: string[], removed: string[] }} includes
+ * @property {{ added: string[], removed: string[] }} networks
+ * @property {{ domain: string, term: string, from: string, to: string }[]} qualifiers -
+ * Terms of the same record whose qualifier changed, written without qualifier.
+ * @property {{ from: string|null, to: string|null }|null} all
+ * @property {{ from: number, to: number }|null} lookups
+ */
+/**
+ * Resolves the whole policy of a domain into a snapshot that only depends on
+ * the published records, so snapshots taken at different times can be
+ * stored and compared with `diff()`. Lookup limits do not apply.
+ *
+ * @param {string} domain
+ * @param {import('../index').SPFOptions} [options]
+ * @returns {Promise<Snapshot>}
+ */
+export function snapshot(domain: string, options?: import('../index').SPFOptions): Promise<Snapshot>;
+/**
+ * Compares two snapshots of the same domain.
+ *
+ * @param {Snapshot} oldSnapshot
+ * @param {Snapshot} newSnapshot
+ * @returns {SnapshotDiff}
+ */
+export function diff(oldSnapshot: Snapshot, newSnapshot: Snapshot): SnapshotDiff;
+//# sourceMappingURL=snapshot.d.ts.map
\ No newline at end of file
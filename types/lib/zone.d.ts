@@ -0,0 +1,78 @@
+export = ZoneResolver;
+/**
+ * Resolver answering from a fixture map of records, for checks against
+ * records that are not published. Names missing from the map are looked up
+ * with the fallback resolver, if any, or do not exist.
+ */
+declare class ZoneResolver {
+    /**
+     * @param {Object<string, ZoneEntry>} zone - Records by name.
+     * @param {import('../index').DNSResolver} [fallback] - Resolver of the names
+     * missing from the zone.
+     */
+    constructor(zone: {
+        [x: string]: ZoneEntry;
+    }, fallback?: import('../index').DNSResolver);
+    /** @private */
+    private zone;
+    /** @private */
+    private fallback;
+    /**
+     * @param {string} hostname
+     * @returns {Promise<string[][]>}
+     */
+    resolveTxt(hostname: string): Promise<string[][]>;
+    /**
+     * Looks up SPF (type 99) records, set as "SPF" in the zone.
+     *
+     * @param {string} hostname
+     * @returns {Promise<string[][]>}
+     */
+    resolveSpf(hostname: string): Promise<string[][]>;
+    /**
+     * @param {string} hostname
+     * @returns {Promise<string[]>}
+     */
+    resolve4(hostname: string): Promise<string[]>;
+    /**
+     * @param {string} hostname
+     * @returns {Promise<string[]>}
+     */
+    resolve6(hostname: string): Promise<string[]>;
+    /**
+     * @param {string} hostname
+     * @returns {Promise<{exchange: string, priority: number}[]>}
+     */
+    resolveMx(hostname: string): Promise<{
+        exchange: string;
+        priority: number;
+    }[]>;
+    /**
+     * @param {string} ip
+     * @returns {Promise<string[]>}
+     */
+    reverse(ip: string): Promise<string[]>;
+    /**
+     * @private
+     * @param {string} method - Resolver method of the lookup.
+     * @param {string} hostname
+     * @param {string} rrtype
+     * @returns {Promise<any[]>}
+     */
+    private lookup;
+}
+declare namespace ZoneResolver {
+    export { ZoneEntry };
+}
+/**
+ * Records of a name by type, like `{ TXT: ['v=spf1 -all'], A: ['192.0.2.1'] }`.
+ * TXT records are strings, or arrays of the strings of a record. MX records
+ * are `{ exchange, priority }` objects, and PTR records are set on the IP
+ * address they are for or on its "in-addr.arpa" or "ip6.arpa" name. Lookups
+ * of types missing from a name with a CNAME record are done on its target,
+ * and all lookups of a name with `TIMEOUT: true` time out.
+ */
+type ZoneEntry = {
+    [x: string]: any;
+};
+//# sourceMappingURL=zone.d.ts.map
\ No newline at end of file